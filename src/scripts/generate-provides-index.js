@@ -0,0 +1,35 @@
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const jscs = require('jscodeshift');
+const {isGoogRequire} = require('../utils/goog');
+const {getFileProvides, getReferencedNames} = require('../utils/provides');
+
+/**
+ * Record the `goog.provide`/`goog.module` and `goog.require` statements in a file, and the fully qualified names it
+ * references.
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+
+  const record = getFileProvides(root);
+  if (record.provides.length || record.requires.length || record.requireTypes.length) {
+    record.file = path.resolve(file.path);
+    record.legacyRequires = root.find(jscs.ExpressionStatement, isGoogRequire).nodes()
+        .map(node => node.expression.arguments[0].value);
+    record.references = getReferencedNames(root);
+
+    // write one record per line, to be combined by process-provides-index.js
+    try {
+      fs.appendFileSync('./.build/provides-records', `${JSON.stringify(record)}\n`);
+    } catch (err) {
+      console.log(err);
+    }
+  }
+
+  return file.source;
+};
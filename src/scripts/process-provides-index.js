@@ -0,0 +1,63 @@
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const path = require('path');
+const {getLegacyReferences} = require('../utils/provides');
+
+const buildDir = path.resolve(process.cwd(), './.build');
+const recordsFile = path.join(buildDir, 'provides-records');
+
+// records are only written for files with provides or requires, so the file won't exist if none were found
+if (!fs.existsSync(recordsFile)) {
+  console.log(`No provides found, ${recordsFile} does not exist. Writing an empty index.`);
+}
+
+const content = fs.existsSync(recordsFile) ? fs.readFileSync(recordsFile, 'utf8').trim() : '';
+const records = content ? content.split('\n').map(line => JSON.parse(line)) : [];
+
+// paths in the index are relative to the index file
+const relativePath = file => path.relative(buildDir, file).split(path.sep).join('/');
+
+// sort by file path so the output is stable regardless of processing order
+records.sort((a, b) => a.file > b.file ? 1 : a.file < b.file ? -1 : 0);
+
+const modules = {};
+const files = {};
+let duplicates = 0;
+
+records.forEach(record => {
+  const file = relativePath(record.file);
+  files[file] = {
+    provides: record.provides,
+    requires: record.requires,
+    requireTypes: record.requireTypes
+  };
+
+  record.provides.forEach(moduleName => {
+    if (modules[moduleName]) {
+      console.log(`Duplicate provide for ${moduleName} in ${file} and ${modules[moduleName].file}.`);
+      duplicates++;
+    } else {
+      modules[moduleName] = Object.assign({file}, record.modules[moduleName]);
+    }
+  });
+});
+
+const sortedModules = {};
+Object.keys(modules).sort().forEach(moduleName => {
+  sortedModules[moduleName] = modules[moduleName];
+});
+
+// resolve global references once all modules are known
+records.forEach(record => {
+  files[relativePath(record.file)].legacyRefs = getLegacyReferences({modules: sortedModules}, record);
+});
+
+const output = JSON.stringify({modules: sortedModules, files}, null, 2);
+
+fs.writeFile(path.join(buildDir, 'provides-index.json'), `${output}\n`, function(err) {
+  if (err) return console.log(err);
+
+  console.log(`Indexed ${Object.keys(sortedModules).length} modules in ${records.length} files` +
+      `${duplicates ? ` (${duplicates} duplicate provides)` : ''}.`);
+});
@@ -0,0 +1,40 @@
+goog.provide('os.ns.AbstractClass');
+
+goog.require('goog.abstractMethod');
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class with abstract methods.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.AbstractClass = function() {
+  os.ns.AbstractClass.base(this, 'constructor');
+};
+goog.inherits(os.ns.AbstractClass, os.ns.ParentClass);
+
+
+/**
+ * Get the label for an item.
+ * @param {string} id The item id.
+ * @param {number=} opt_index The item index.
+ * @return {string} The label.
+ */
+os.ns.AbstractClass.prototype.getLabel = goog.abstractMethod;
+
+
+/**
+ * Update the thing.
+ * @protected
+ */
+os.ns.AbstractClass.prototype.update = goog.abstractMethod;
+
+
+/**
+ * Get the label for the first item.
+ * @return {string} The label.
+ */
+os.ns.AbstractClass.prototype.getFirstLabel = function() {
+  return this.getLabel('first', 0);
+};
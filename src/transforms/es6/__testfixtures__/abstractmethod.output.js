@@ -0,0 +1,44 @@
+goog.module('os.ns.AbstractClass');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class with abstract methods.
+ * @abstract
+ */
+class AbstractClass extends ParentClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * Get the label for an item.
+   * @param {string} id The item id.
+   * @param {number=} opt_index The item index.
+   * @return {string} The label.
+   * @abstract
+   */
+  getLabel(id, opt_index) {}
+
+  /**
+   * Update the thing.
+   * @protected
+   * @abstract
+   */
+  update() {}
+
+  /**
+   * Get the label for the first item.
+   * @return {string} The label.
+   */
+  getFirstLabel() {
+    return this.getLabel('first', 0);
+  }
+}
+
+exports = AbstractClass;
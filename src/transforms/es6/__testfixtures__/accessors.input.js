@@ -0,0 +1,50 @@
+goog.provide('os.ns.Accessors');
+
+
+/**
+ * A class with accessors defined on the prototype.
+ * @constructor
+ */
+os.ns.Accessors = function() {
+  /**
+   * @type {number}
+   * @private
+   */
+  this.value_ = 0;
+};
+
+
+/**
+ * The value.
+ * @type {number}
+ */
+Object.defineProperty(os.ns.Accessors.prototype, 'value', {
+  get: function() {
+    return this.value_;
+  },
+  set: function(value) {
+    this.value_ = value;
+  }
+});
+
+
+/**
+ * The label, which is read-only.
+ * @type {string}
+ */
+Object.defineProperty(os.ns.Accessors.prototype, 'label', {
+  get: function() {
+    return 'Value: ' + this.value_;
+  },
+  configurable: true
+});
+
+
+/**
+ * A property with a value can't be converted.
+ * @type {number}
+ */
+Object.defineProperty(os.ns.Accessors.prototype, 'count', {
+  value: 0,
+  writable: true
+});
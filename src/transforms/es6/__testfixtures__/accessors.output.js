@@ -0,0 +1,51 @@
+goog.module('os.ns.Accessors');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * A class with accessors defined on the prototype.
+ */
+class Accessors {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    /**
+     * @type {number}
+     * @private
+     */
+    this.value_ = 0;
+  }
+
+  /**
+   * The value.
+   * @type {number}
+   */
+  get value() {
+    return this.value_;
+  }
+
+  set value(value) {
+    this.value_ = value;
+  }
+
+  /**
+   * The label, which is read-only.
+   * @type {string}
+   */
+  get label() {
+    return 'Value: ' + this.value_;
+  }
+}
+
+
+/**
+ * A property with a value can't be converted.
+ * @type {number}
+ */
+Object.defineProperty(Accessors.prototype, 'count', {
+  value: 0,
+  writable: true
+});
+
+exports = Accessors;
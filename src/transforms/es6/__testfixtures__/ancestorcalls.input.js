@@ -0,0 +1,52 @@
+goog.provide('os.ns.AncestorCalls');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class calling functions on its ancestors.
+ * @param {string} name The name.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.AncestorCalls = function(name) {
+  goog.base(this, name);
+};
+goog.inherits(os.ns.AncestorCalls, os.ns.ParentClass);
+
+
+/**
+ * @inheritDoc
+ */
+os.ns.AncestorCalls.prototype.disposeInternal = function() {
+  os.ns.ParentClass.prototype.disposeInternal.call(this);
+};
+
+
+/**
+ * @inheritDoc
+ */
+os.ns.AncestorCalls.prototype.render = function(el) {
+  goog.base(this, 'render', el);
+};
+
+
+/**
+ * @inheritDoc
+ */
+os.ns.AncestorCalls.prototype.getName = function() {
+  return os.ns.ParentClass.superClass_.getName.call(this);
+};
+
+
+/**
+ * @inheritDoc
+ */
+os.ns.AncestorCalls.prototype.update = function(opt_force) {
+  os.ns.GrandparentClass.prototype.update.call(this, opt_force);
+
+  var callback = function() {
+    os.ns.ParentClass.prototype.update.call(this);
+  };
+  callback.call(this);
+};
@@ -0,0 +1,53 @@
+goog.module('os.ns.AncestorCalls');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class calling functions on its ancestors.
+ */
+class AncestorCalls extends ParentClass {
+  /**
+   * Constructor.
+   * @param {string} name The name.
+   */
+  constructor(name) {
+    super(name);
+  }
+
+  /**
+   * @inheritDoc
+   */
+  disposeInternal() {
+    super.disposeInternal();
+  }
+
+  /**
+   * @inheritDoc
+   */
+  render(el) {
+    super.render(el);
+  }
+
+  /**
+   * @inheritDoc
+   */
+  getName() {
+    return super.getName();
+  }
+
+  /**
+   * @inheritDoc
+   */
+  update(opt_force) {
+    super.update(opt_force);
+
+    var callback = function() {
+      ParentClass.prototype.update.call(this);
+    };
+    callback.call(this);
+  }
+}
+
+exports = AncestorCalls;
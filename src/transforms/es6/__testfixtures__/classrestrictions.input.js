@@ -0,0 +1,21 @@
+goog.provide('os.ns.DictCtrl');
+
+
+/**
+ * A controller that allows properties to be accessed with brackets.
+ * @param {!angular.Scope} $scope The Angular scope.
+ * @constructor
+ * @dict
+ * @ngInject
+ */
+os.ns.DictCtrl = function($scope) {
+  this['scope'] = $scope;
+};
+
+
+/**
+ * Clean up the controller.
+ */
+os.ns.DictCtrl.prototype.dispose = function() {
+  this['scope'] = null;
+};
@@ -0,0 +1,27 @@
+goog.module('os.ns.DictCtrl');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * A controller that allows properties to be accessed with brackets.
+ * @dict
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @param {!angular.Scope} $scope The Angular scope.
+   * @ngInject
+   */
+  constructor($scope) {
+    this['scope'] = $scope;
+  }
+
+  /**
+   * Clean up the controller.
+   */
+  dispose() {
+    this['scope'] = null;
+  }
+}
+
+exports = Controller;
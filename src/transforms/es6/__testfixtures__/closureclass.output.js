@@ -79,8 +79,8 @@ class MyClass extends ParentClass {
    * @return {boolean}
    */
   memberFn(arg1, opt_arg2) {
-    if (arg1 === MyClass.CONSTANT) {
-      goog.log.fine(MyClass.LOGGER_, 'Some message');
+    if (arg1 === CONSTANT) {
+      goog.log.fine(LOGGER_, 'Some message');
       return true;
     }
 
@@ -109,6 +109,53 @@ class MyClass extends ParentClass {
     return os.ns.AnotherClass.superClass_.oldOverrideDifferentClass.call(this, arg1);
   }
 
+  /**
+   * Class name registered with OpenSphere.
+   * @type {string}
+   */
+  static get NAME() {
+    return NAME;
+  }
+
+  /**
+   * A private constant on the class.
+   * @type {goog.log.Logger}
+   * @private
+   */
+  static get LOGGER_() {
+    return LOGGER_;
+  }
+
+  /**
+   * A constant on the class.
+   * @type {string}
+   */
+  static get CONSTANT() {
+    return CONSTANT;
+  }
+
+  /**
+   * A private constant on the class.
+   * @type {string}
+   * @private
+   */
+  static get PRIVATE_CONSTANT_() {
+    return PRIVATE_CONSTANT_;
+  }
+
+  /**
+   * A private property on the class.
+   * @type {string}
+   * @private
+   */
+  static get foo_() {
+    return foo_;
+  }
+
+  static set foo_(value) {
+    foo_ = value;
+  }
+
   /**
    * Get the global instance.
    * @return {!MyClass}
@@ -135,35 +182,31 @@ let instance;
 /**
  * Class name registered with OpenSphere.
  * @type {string}
- * @const
  */
-MyClass.NAME = 'os.ns.MyClass';
-os.registerClass(MyClass.NAME, MyClass);
+const NAME = 'os.ns.MyClass';
+os.registerClass(NAME, MyClass);
 
 
 /**
  * A private constant on the class.
  * @type {goog.log.Logger}
  * @private
- * @const
  */
-MyClass.LOGGER_ = goog.log.getLogger(MyClass.NAME);
+const LOGGER_ = goog.log.getLogger(NAME);
 
 /**
  * A constant on the class.
  * @type {string}
- * @const
  */
-MyClass.CONSTANT = 'Hello';
+const CONSTANT = 'Hello';
 
 
 /**
  * A private constant on the class.
  * @type {string}
  * @private
- * @const
  */
-MyClass.PRIVATE_CONSTANT_ = 'World';
+const PRIVATE_CONSTANT_ = 'World';
 
 
 /**
@@ -171,11 +214,12 @@ MyClass.PRIVATE_CONSTANT_ = 'World';
  * @type {string}
  * @private
  */
-MyClass.foo_ = 'bar';
+let foo_ = 'bar';
 
 
 /**
  * @inheritDoc
  */
 MyClass.prototype.overrideToExpression = goog.nullFunction;
+
 exports = MyClass;
@@ -0,0 +1,59 @@
+goog.module('os.ns.MyComponentUI');
+goog.module.declareLegacyNamespace();
+
+const registerDirective = goog.require('os.ui.registerDirective');
+
+
+/**
+ * Test directive.
+ * @return {angular.Directive}
+ */
+const directive = () => ({
+  restrict: 'E',
+  scope: {
+    'name': '@',
+    'onChange': '&'
+  },
+  bindToController: true,
+  templateUrl: os.ROOT + 'views/mycomponent.html',
+  controller: Controller,
+  controllerAs: 'ctrl',
+  require: ['^^form', '?ngModel']
+});
+
+
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'my-component';
+
+/**
+ * Add the directive to the module.
+ */
+registerDirective(directiveTag, directive);
+
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @ngInject
+   */
+  constructor() {
+    /**
+     * @type {string|undefined}
+     */
+    this['name'];
+  }
+}
+
+
+exports = {
+  Controller,
+  directive,
+  directiveTag
+};
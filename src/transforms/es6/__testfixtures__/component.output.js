@@ -0,0 +1,60 @@
+goog.module('os.ns.MyComponentUI');
+goog.module.declareLegacyNamespace();
+
+const Module = goog.require('os.ui.Module');
+
+
+/**
+ * Test directive.
+ * @type {angular.Component}
+ */
+const component = {
+  bindings: {
+    'name': '@',
+    'onChange': '&'
+  },
+  templateUrl: os.ROOT + 'views/mycomponent.html',
+  controller: Controller,
+  controllerAs: 'ctrl',
+  require: {
+    form: '^^form',
+    ngModel: '?ngModel'
+  }
+};
+
+
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'my-component';
+
+/**
+ * Add the component to the module.
+ */
+Module.component('myComponent', component);
+
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @ngInject
+   */
+  constructor() {
+    /**
+     * @type {string|undefined}
+     */
+    this['name'];
+  }
+}
+
+
+exports = {
+  Controller,
+  component,
+  directiveTag
+};
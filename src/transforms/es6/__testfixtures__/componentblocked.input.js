@@ -0,0 +1,62 @@
+goog.module('os.ns.BlockedUI');
+goog.module.declareLegacyNamespace();
+
+const registerDirective = goog.require('os.ui.registerDirective');
+
+
+/**
+ * Test directive.
+ * @return {angular.Directive}
+ */
+const directive = () => ({
+  replace: true,
+  scope: {
+    'name': '@',
+    'onChange': '&'
+  },
+  bindToController: true,
+  templateUrl: os.ROOT + 'views/blocked.html',
+  controller: Controller,
+  controllerAs: 'ctrl',
+  require: ['^^form', '?ngModel'],
+  link: (scope, element, attrs, controllers) => {
+    controllers[1].$setPristine();
+  }
+});
+
+
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'blocked';
+
+/**
+ * Add the directive to the module.
+ */
+registerDirective(directiveTag, directive);
+
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @ngInject
+   */
+  constructor() {
+    /**
+     * @type {string|undefined}
+     */
+    this['name'];
+  }
+}
+
+
+exports = {
+  Controller,
+  directive,
+  directiveTag
+};
@@ -2,7 +2,7 @@ goog.module('os.ns.myComponentDirective');
 goog.module.declareLegacyNamespace();
 
 const MyComponentCtrl = goog.require('os.ns.MyComponentCtrl');
-const Module = goog.require('os.ui.Module');
+const registerDirective = goog.require('os.ui.registerDirective');
 
 
 /**
@@ -18,8 +18,19 @@ const directive = () => ({
 });
 
 
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'my-component';
+
+
 /**
  * Add the directive to the module
  */
-Module.directive('my-component', [directive]);
-exports = directive;
+registerDirective(directiveTag, directive);
+
+exports = {
+  directive,
+  directiveTag
+};
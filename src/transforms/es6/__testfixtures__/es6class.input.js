@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Some comments at the top of the file that shouldn't be dropped.
+ */
+goog.module('os.ns.MyClass');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+const {MY_CONSTANT, someFn: renamedFn} = goog.require('os.ns');
+const array = goog.require('os.array');
+const log = goog.require('goog.log');
+const SomeType = goog.requireType('os.ns.SomeType');
+
+
+goog.require('os.ns.sideEffect');
+
+/**
+ * Class description.
+ */
+class MyClass extends ParentClass {
+  /**
+   * Constructor.
+   * @param {SomeType} arg1 First arg.
+   */
+  constructor(arg1) {
+    super();
+
+    /**
+     * @type {SomeType}
+     */
+    this.prop1 = arg1;
+  }
+
+  /**
+   * A function on the class.
+   * @param {string} arg1 First arg.
+   * @return {boolean}
+   */
+  memberFn(arg1) {
+    log.fine(MyClass.LOGGER_, 'Some message');
+    array.clear([]);
+    return arg1 === MY_CONSTANT && renamedFn();
+  }
+}
+
+exports = MyClass;
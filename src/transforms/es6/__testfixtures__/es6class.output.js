@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Some comments at the top of the file that shouldn't be dropped.
+ */
+import ParentClass from './os/ns/parentclass.js';
+import {MY_CONSTANT, someFn as renamedFn} from './os/ns/ns.js';
+import * as array from './os/array/array.js';
+import './os/sideeffect.js';
+
+goog.declareModuleId('os.ns.MyClass');
+
+const log = goog.require('goog.log');
+const SomeType = goog.requireType('os.ns.SomeType');
+
+
+/**
+ * Class description.
+ */
+class MyClass extends ParentClass {
+  /**
+   * Constructor.
+   * @param {SomeType} arg1 First arg.
+   */
+  constructor(arg1) {
+    super();
+
+    /**
+     * @type {SomeType}
+     */
+    this.prop1 = arg1;
+  }
+
+  /**
+   * A function on the class.
+   * @param {string} arg1 First arg.
+   * @return {boolean}
+   */
+  memberFn(arg1) {
+    log.fine(MyClass.LOGGER_, 'Some message');
+    array.clear([]);
+    return arg1 === MY_CONSTANT && renamedFn();
+  }
+}
+
+export default MyClass;
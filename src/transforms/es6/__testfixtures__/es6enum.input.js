@@ -0,0 +1,12 @@
+goog.module('os.ns.MyEnum');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * An enum.
+ * @enum {string}
+ */
+exports = {
+  KEY1: 'value1',
+  KEY2: 'value2'
+};
@@ -0,0 +1,13 @@
+goog.declareModuleId('os.ns.MyEnum');
+
+
+/**
+ * An enum.
+ * @enum {string}
+ */
+const MyEnum = {
+  KEY1: 'value1',
+  KEY2: 'value2'
+};
+
+export default MyEnum;
@@ -0,0 +1,25 @@
+goog.module('os.ns');
+goog.module.declareLegacyNamespace();
+
+const MyEnum = goog.require('os.ns.MyEnum');
+
+
+/**
+ * A constant property on the namespace.
+ * @type {string}
+ */
+const MY_CONSTANT = 'Hello, World!';
+
+/**
+ * Function on the namespace.
+ * @return {string} The return value.
+ */
+const someFn = function() {
+  return MyEnum.KEY1;
+};
+
+exports = {
+  MY_CONSTANT,
+  someFn,
+  aliasedFn: someFn
+};
@@ -0,0 +1,20 @@
+import MyEnum from './os/ns/myenum.js';
+
+goog.declareModuleId('os.ns');
+
+
+/**
+ * A constant property on the namespace.
+ * @type {string}
+ */
+const MY_CONSTANT = 'Hello, World!';
+
+/**
+ * Function on the namespace.
+ * @return {string} The return value.
+ */
+const someFn = function() {
+  return MyEnum.KEY1;
+};
+
+export {MY_CONSTANT, someFn, someFn as aliasedFn};
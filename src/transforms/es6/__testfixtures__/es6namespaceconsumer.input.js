@@ -0,0 +1,20 @@
+goog.module('os.ns.Consumer');
+goog.module.declareLegacyNamespace();
+
+const utils = goog.require('os.ns.utils');
+
+
+/**
+ * Class using functions from a namespace.
+ */
+class Consumer {
+  /**
+   * Get the formatted version.
+   * @return {string} The version.
+   */
+  getVersion() {
+    return utils.format(utils.parse(utils.VERSION));
+  }
+}
+
+exports = Consumer;
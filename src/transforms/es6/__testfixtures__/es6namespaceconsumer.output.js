@@ -0,0 +1,20 @@
+import * as utils from './os/ns/utils.js';
+
+goog.declareModuleId('os.ns.Consumer');
+
+
+/**
+ * Class using functions from a namespace.
+ */
+class Consumer {
+  /**
+   * Get the formatted version.
+   * @return {string} The version.
+   */
+  getVersion() {
+    return utils.format(utils.parse(utils.VERSION));
+  }
+}
+
+export default Consumer;
+
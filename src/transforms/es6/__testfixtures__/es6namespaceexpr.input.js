@@ -0,0 +1,27 @@
+goog.module('os.ns.utils');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * Format a value.
+ * @param {number} value The value.
+ * @return {string} The formatted value.
+ */
+const format = (value) => value.toFixed(2);
+
+exports = {
+  format,
+
+  /**
+   * The library version.
+   * @type {string}
+   */
+  VERSION: '1.0.0',
+
+  /**
+   * Parse a value.
+   * @param {string} value The value.
+   * @return {number} The parsed value.
+   */
+  parse: (value) => parseFloat(value)
+};
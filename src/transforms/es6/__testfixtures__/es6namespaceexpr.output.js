@@ -0,0 +1,25 @@
+goog.declareModuleId('os.ns.utils');
+
+
+/**
+ * Format a value.
+ * @param {number} value The value.
+ * @return {string} The formatted value.
+ */
+const format = (value) => value.toFixed(2);
+
+/**
+ * The library version.
+ * @type {string}
+ */
+const VERSION = '1.0.0';
+
+/**
+ * Parse a value.
+ * @param {string} value The value.
+ * @return {number} The parsed value.
+ */
+const parse = (value) => parseFloat(value);
+
+export {format, VERSION, parse};
+
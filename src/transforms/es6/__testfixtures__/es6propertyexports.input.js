@@ -0,0 +1,33 @@
+goog.module('os.ns.helpers');
+goog.module.declareLegacyNamespace();
+
+const MyEnum = goog.require('os.ns.MyEnum');
+
+
+/**
+ * Get the default value.
+ * @return {string} The value.
+ */
+const helper = () => MyEnum.KEY1;
+
+/**
+ * Local variable with the same name as an export.
+ * @type {number}
+ */
+const max = 10;
+
+exports.helper = helper;
+
+
+/**
+ * The maximum value.
+ * @type {number}
+ */
+exports.max = max * 2;
+
+
+/**
+ * Format the default value.
+ * @return {string} The formatted value.
+ */
+exports.format = () => `[${exports.helper()}]`;
@@ -0,0 +1,33 @@
+import MyEnum from './os/ns/myenum.js';
+
+goog.declareModuleId('os.ns.helpers');
+
+
+/**
+ * Get the default value.
+ * @return {string} The value.
+ */
+const helper = () => MyEnum.KEY1;
+
+/**
+ * Local variable with the same name as an export.
+ * @type {number}
+ */
+const max = 10;
+
+export {helper};
+
+/**
+ * The maximum value.
+ * @type {number}
+ */
+const max1 = max * 2;
+
+export {max1 as max};
+
+/**
+ * Format the default value.
+ * @return {string} The formatted value.
+ */
+export const format = () => `[${helper()}]`;
+
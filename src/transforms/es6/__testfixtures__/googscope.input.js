@@ -0,0 +1,40 @@
+goog.provide('os.ns.ScopedClass');
+
+goog.require('os.ns.ParentClass');
+goog.require('os.ns.MyEnum');
+
+
+goog.scope(function() {
+var ParentClass = os.ns.ParentClass;
+var MyEnum = os.ns.MyEnum;
+
+
+
+/**
+ * A class declared in a goog.scope block.
+ * @param {MyEnum} value The value.
+ * @extends {ParentClass}
+ * @constructor
+ */
+os.ns.ScopedClass = function(value) {
+  os.ns.ScopedClass.base(this, 'constructor');
+
+  /**
+   * The value.
+   * @type {MyEnum}
+   */
+  this.value = value || MyEnum.KEY1;
+};
+goog.inherits(os.ns.ScopedClass, ParentClass);
+var ScopedClass = os.ns.ScopedClass;
+
+
+/**
+ * Get the value. MyEnum in the description is not a type.
+ * @return {MyEnum} The value.
+ */
+ScopedClass.prototype.getValue = function() {
+  var MyEnum = {KEY1: 'shadowed'};
+  return this.value || MyEnum.KEY1;
+};
+});  // goog.scope
@@ -0,0 +1,36 @@
+goog.module('os.ns.ScopedClass');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+const osNsMyEnum = goog.require('os.ns.MyEnum');
+
+
+/**
+ * A class declared in a goog.scope block.
+ */
+class ScopedClass extends ParentClass {
+  /**
+   * Constructor.
+   * @param {osNsMyEnum} value The value.
+   */
+  constructor(value) {
+    super();
+
+    /**
+     * The value.
+     * @type {osNsMyEnum}
+     */
+    this.value = value || osNsMyEnum.KEY1;
+  }
+
+  /**
+   * Get the value. MyEnum in the description is not a type.
+   * @return {osNsMyEnum} The value.
+   */
+  getValue() {
+    var MyEnum = {KEY1: 'shadowed'};
+    return this.value || MyEnum.KEY1;
+  }
+}
+
+exports = ScopedClass;
@@ -0,0 +1,20 @@
+goog.provide('os.ns.wrapped');
+
+
+(function() {
+  'use strict';
+
+  /**
+   * A counter local to the file.
+   * @type {number}
+   */
+  var count = 0;
+
+  /**
+   * Increment the counter.
+   * @return {number} The new count.
+   */
+  os.ns.wrapped.increment = function() {
+    return ++count;
+  };
+})();
@@ -0,0 +1,21 @@
+goog.module('os.ns.wrapped');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * A counter local to the file.
+ * @type {number}
+ */
+var count = 0;
+
+/**
+ * Increment the counter.
+ * @return {number} The new count.
+ */
+const increment = function() {
+  return ++count;
+};
+
+exports = {
+  increment
+};
@@ -0,0 +1,35 @@
+goog.provide('os.ns.collision');
+
+
+(function() {
+  /**
+   * The label for the first function.
+   * @type {string}
+   */
+  const label = 'first';
+
+  /**
+   * Get the first label.
+   * @return {string}
+   */
+  os.ns.collision.getFirst = function() {
+    return label;
+  };
+})();
+
+
+(function() {
+  /**
+   * The label for the second function.
+   * @type {string}
+   */
+  const label = 'second';
+
+  /**
+   * Get the second label.
+   * @return {string}
+   */
+  os.ns.collision.getSecond = function() {
+    return label;
+  };
+})();
@@ -0,0 +1,38 @@
+goog.module('os.ns.collision');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * The label for the first function.
+ * @type {string}
+ */
+const label = 'first';
+
+/**
+ * Get the first label.
+ * @return {string}
+ */
+const getFirst = function() {
+  return label;
+};
+
+
+(function() {
+  /**
+   * The label for the second function.
+   * @type {string}
+   */
+  const label = 'second';
+
+  /**
+   * Get the second label.
+   * @return {string}
+   */
+  os.ns.collision.getSecond = function() {
+    return label;
+  };
+})();
+
+exports = {
+  getFirst
+};
@@ -0,0 +1,35 @@
+goog.provide('os.ns.ChildClass');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * Class relying on namespaces loaded by other files.
+ *
+ * @param {os.ns.SomeType} arg1 First arg, only referenced in comments.
+ *
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.ChildClass = function(arg1) {
+  os.ns.ChildClass.base(this, 'constructor');
+
+  /**
+   * Value from an enum that isn't required.
+   * @type {string}
+   */
+  this.prop1 = os.ns.MyEnum.KEY1;
+
+  /**
+   * Value from a function on a namespace that isn't required.
+   * @type {string}
+   */
+  this.prop2 = os.ns.someFn();
+
+  /**
+   * Not in the index, should be ignored.
+   * @type {string}
+   */
+  this.prop3 = os.notIndexed.someFn();
+};
+goog.inherits(os.ns.ChildClass, os.ns.ParentClass);
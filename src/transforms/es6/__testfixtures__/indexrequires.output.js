@@ -0,0 +1,42 @@
+goog.module('os.ns.ChildClass');
+goog.module.declareLegacyNamespace();
+
+const ns = goog.require('os.ns');
+const MyEnum = goog.require('os.ns.MyEnum');
+const ParentClass = goog.require('os.ns.ParentClass');
+
+const SomeType = goog.requireType('os.ns.SomeType');
+
+
+/**
+ * Class relying on namespaces loaded by other files.
+ */
+class ChildClass extends ParentClass {
+  /**
+   * Constructor.
+   * @param {SomeType} arg1 First arg, only referenced in comments.
+   */
+  constructor(arg1) {
+    super();
+
+    /**
+     * Value from an enum that isn't required.
+     * @type {string}
+     */
+    this.prop1 = MyEnum.KEY1;
+
+    /**
+     * Value from a function on a namespace that isn't required.
+     * @type {string}
+     */
+    this.prop2 = ns.someFn();
+
+    /**
+     * Not in the index, should be ignored.
+     * @type {string}
+     */
+    this.prop3 = os.notIndexed.someFn();
+  }
+}
+
+exports = ChildClass;
@@ -0,0 +1,58 @@
+goog.provide('os.ns.InjectCtrl');
+goog.provide('os.ns.injectDirective');
+
+goog.require('os.ui.Module');
+
+
+/**
+ * Test directive.
+ * @param {!angular.$templateCache} $templateCache The Angular template cache.
+ * @return {angular.Directive}
+ * @ngInject
+ */
+os.ns.injectDirective = function($templateCache) {
+  return {
+    restrict: 'E',
+    template: $templateCache.get('inject.html'),
+    controller: os.ns.InjectCtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * Add the directive to the module
+ */
+os.ui.Module.directive('inject', [os.ns.injectDirective]);
+
+
+/**
+ * Test controller.
+ * @param {!angular.Scope} $scope The Angular scope.
+ * @param {!angular.$timeout} $timeout The Angular timeout service.
+ * @constructor
+ * @ngInject
+ */
+os.ns.InjectCtrl = function($scope, $timeout) {
+  /**
+   * The Angular scope.
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * The Angular timeout service.
+   * @type {?angular.$timeout}
+   * @private
+   */
+  this.timeout_ = $timeout;
+};
+
+
+/**
+ * Refresh the view.
+ */
+os.ns.InjectCtrl.prototype.refresh = function() {
+  this.timeout_(() => this.scope_.$broadcast('refresh'));
+};
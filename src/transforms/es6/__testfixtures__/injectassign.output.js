@@ -0,0 +1,83 @@
+goog.module('os.ns.InjectUI');
+goog.module.declareLegacyNamespace();
+
+const registerDirective = goog.require('os.ui.registerDirective');
+
+
+/**
+ * Test directive.
+ * @param {!angular.$templateCache} $templateCache The Angular template cache.
+ * @return {angular.Directive}
+ */
+const directive = ($templateCache) => ({
+  restrict: 'E',
+  template: $templateCache.get('inject.html'),
+  controller: Controller,
+  controllerAs: 'ctrl'
+});
+
+/**
+ * The services injected by Angular.
+ * @type {!Array<string>}
+ */
+directive.$inject = ['$templateCache'];
+
+
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'inject';
+
+
+/**
+ * Add the directive to the module
+ */
+registerDirective(directiveTag, directive);
+
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @param {!angular.Scope} $scope The Angular scope.
+   * @param {!angular.$timeout} $timeout The Angular timeout service.
+   */
+  constructor($scope, $timeout) {
+    /**
+     * The Angular scope.
+     * @type {?angular.Scope}
+     * @private
+     */
+    this.scope_ = $scope;
+
+    /**
+     * The Angular timeout service.
+     * @type {?angular.$timeout}
+     * @private
+     */
+    this.timeout_ = $timeout;
+  }
+
+  /**
+   * Refresh the view.
+   */
+  refresh() {
+    this.timeout_(() => this.scope_.$broadcast('refresh'));
+  }
+}
+
+/**
+ * The services injected by Angular.
+ * @type {!Array<string>}
+ */
+Controller.$inject = ['$scope', '$timeout'];
+
+exports = {
+  Controller,
+  directive,
+  directiveTag
+};
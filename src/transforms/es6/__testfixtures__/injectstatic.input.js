@@ -0,0 +1,33 @@
+goog.provide('os.ns.InjectCtrl');
+
+
+/**
+ * Test controller.
+ * @param {!angular.Scope} $scope The Angular scope.
+ * @param {!angular.$timeout} $timeout The Angular timeout service.
+ * @constructor
+ * @ngInject
+ */
+os.ns.InjectCtrl = function($scope, $timeout) {
+  /**
+   * The Angular scope.
+   * @type {?angular.Scope}
+   * @private
+   */
+  this.scope_ = $scope;
+
+  /**
+   * The Angular timeout service.
+   * @type {?angular.$timeout}
+   * @private
+   */
+  this.timeout_ = $timeout;
+};
+
+
+/**
+ * Refresh the view.
+ */
+os.ns.InjectCtrl.prototype.refresh = function() {
+  this.timeout_(() => this.scope_.$broadcast('refresh'));
+};
@@ -0,0 +1,47 @@
+goog.module('os.ns.InjectCtrl');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @param {!angular.Scope} $scope The Angular scope.
+   * @param {!angular.$timeout} $timeout The Angular timeout service.
+   */
+  constructor($scope, $timeout) {
+    /**
+     * The Angular scope.
+     * @type {?angular.Scope}
+     * @private
+     */
+    this.scope_ = $scope;
+
+    /**
+     * The Angular timeout service.
+     * @type {?angular.$timeout}
+     * @private
+     */
+    this.timeout_ = $timeout;
+  }
+
+  /**
+   * The services injected by Angular.
+   * @return {!Array<string>}
+   */
+  static get $inject() {
+    return ['$scope', '$timeout'];
+  }
+
+  /**
+   * Refresh the view.
+   */
+  refresh() {
+    this.timeout_(() => this.scope_.$broadcast('refresh'));
+  }
+}
+
+exports = Controller;
@@ -0,0 +1,22 @@
+goog.module('os.ns.ParentClass');
+goog.module.declareLegacyNamespace();
+
+const MyEnum = goog.require('os.ns.MyEnum');
+
+
+/**
+ * A class that is no longer referenced as a global.
+ */
+class ParentClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    /**
+     * @type {string}
+     */
+    this.value = MyEnum.KEY1;
+  }
+}
+
+exports = ParentClass;
@@ -0,0 +1,21 @@
+goog.module('os.ns.ParentClass');
+
+const MyEnum = goog.require('os.ns.MyEnum');
+
+
+/**
+ * A class that is no longer referenced as a global.
+ */
+class ParentClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    /**
+     * @type {string}
+     */
+    this.value = MyEnum.KEY1;
+  }
+}
+
+exports = ParentClass;
@@ -0,0 +1,19 @@
+goog.module('os.ns.MyClass');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that is still referenced as a global by os/ns/ns.js.
+ */
+class MyClass extends ParentClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    super();
+  }
+}
+
+exports = MyClass;
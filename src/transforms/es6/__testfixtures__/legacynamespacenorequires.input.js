@@ -0,0 +1,17 @@
+goog.module('os.ns.SomeType');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * An interface that is no longer referenced as a global.
+ * @interface
+ */
+class SomeType {
+  /**
+   * Get the value.
+   * @return {string}
+   */
+  getValue() {}
+}
+
+exports = SomeType;
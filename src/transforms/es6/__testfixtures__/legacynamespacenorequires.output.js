@@ -0,0 +1,16 @@
+goog.module('os.ns.SomeType');
+
+
+/**
+ * An interface that is no longer referenced as a global.
+ * @interface
+ */
+class SomeType {
+  /**
+   * Get the value.
+   * @return {string}
+   */
+  getValue() {}
+}
+
+exports = SomeType;
@@ -0,0 +1,19 @@
+goog.module('os.ns');
+goog.module.declareLegacyNamespace();
+
+const MyEnum = goog.require('os.ns.MyEnum');
+
+
+/**
+ * A constant.
+ * @type {string}
+ */
+const MY_CONSTANT = MyEnum.KEY1;
+
+/**
+ * A function.
+ * @return {string}
+ */
+const someFn = () => MY_CONSTANT;
+
+exports = {MY_CONSTANT, someFn};
@@ -0,0 +1,39 @@
+goog.provide('os.ns.MixinClass');
+
+goog.require('goog.events.EventTarget');
+goog.require('os.ns.ParentClass');
+goog.require('os.ns.SomeMixin');
+
+
+/**
+ * A class with mixins.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.MixinClass = function() {
+  os.ns.MixinClass.base(this, 'constructor');
+};
+goog.inherits(os.ns.MixinClass, os.ns.ParentClass);
+goog.mixin(os.ns.MixinClass.prototype, goog.events.EventTarget.prototype);
+
+
+/**
+ * Get the value.
+ * @return {number}
+ */
+os.ns.MixinClass.prototype.getValue = function() {
+  return 1;
+};
+
+
+goog.mixin(os.ns.MixinClass.prototype, os.ns.SomeMixin.prototype);
+
+
+/**
+ * Copy functions from the mixin manually.
+ */
+(function() {
+  for (var key in os.ns.SomeMixin.prototype) {
+    os.ns.MixinClass.prototype[key] = os.ns.SomeMixin.prototype[key];
+  }
+})();
@@ -0,0 +1,44 @@
+goog.module('os.ns.MixinClass');
+goog.module.declareLegacyNamespace();
+
+const EventTarget = goog.require('goog.events.EventTarget');
+const ParentClass = goog.require('os.ns.ParentClass');
+const SomeMixin = goog.require('os.ns.SomeMixin');
+
+
+/**
+ * A class with mixins.
+ */
+class MixinClass extends ParentClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * Get the value.
+   * @return {number}
+   */
+  getValue() {
+    return 1;
+  }
+}
+
+goog.mixin(MixinClass.prototype, EventTarget.prototype);
+
+
+goog.mixin(MixinClass.prototype, SomeMixin.prototype);
+
+
+/**
+ * Copy functions from the mixin manually.
+ */
+(function() {
+  for (var key in SomeMixin.prototype) {
+    MixinClass.prototype[key] = SomeMixin.prototype[key];
+  }
+})();
+
+exports = MixinClass;
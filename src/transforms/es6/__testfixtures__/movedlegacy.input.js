@@ -0,0 +1,45 @@
+goog.provide('os.ns.OtherCtrl');
+
+goog.require('os.ns.MY_CONSTANT');
+goog.require('os.ns.MyComponentCtrl');
+goog.require('os.ns.OldName');
+goog.require('os.ns.myComponentDirective');
+goog.require('os.ns.myWidgetDirective');
+goog.require('os.ui.Module');
+
+
+/**
+ * Controller extending a controller that moved to a UI module.
+ * @param {!angular.Scope} $scope The Angular scope.
+ * @extends {os.ns.MyComponentCtrl}
+ * @constructor
+ * @ngInject
+ */
+os.ns.OtherCtrl = function($scope) {
+  os.ns.OtherCtrl.base(this, 'constructor', $scope);
+
+  /**
+   * A renamed module.
+   * @type {os.ns.OldName}
+   */
+  this.oldName = new os.ns.OldName(os.ns.MY_CONSTANT);
+
+  /**
+   * Has a name starting with a moved module, should not be changed.
+   * @type {os.ns.MyComponentCtrlHelper}
+   */
+  this.helper = new os.ns.MyComponentCtrlHelper();
+};
+goog.inherits(os.ns.OtherCtrl, os.ns.MyComponentCtrl);
+
+
+/**
+ * Add the directive to the module
+ */
+os.ui.Module.directive('other', [os.ns.myComponentDirective]);
+
+
+/**
+ * Add a directive that is now a named export of its module
+ */
+os.ui.Module.directive('widget', [os.ns.myWidgetDirective]);
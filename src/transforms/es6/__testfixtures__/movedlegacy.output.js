@@ -0,0 +1,44 @@
+goog.provide('os.ns.OtherCtrl');
+
+goog.require('os.ns.MY_CONSTANT');
+goog.require('os.ns.MyComponentUI');
+goog.require('os.ns.NewName');
+goog.require('os.ns.myWidgetDirective');
+goog.require('os.ui.Module');
+
+
+/**
+ * Controller extending a controller that moved to a UI module.
+ * @param {!angular.Scope} $scope The Angular scope.
+ * @extends {os.ns.MyComponentUI.Controller}
+ * @constructor
+ * @ngInject
+ */
+os.ns.OtherCtrl = function($scope) {
+  os.ns.OtherCtrl.base(this, 'constructor', $scope);
+
+  /**
+   * A renamed module.
+   * @type {os.ns.NewName}
+   */
+  this.oldName = new os.ns.NewName(os.ns.MY_CONSTANT);
+
+  /**
+   * Has a name starting with a moved module, should not be changed.
+   * @type {os.ns.MyComponentCtrlHelper}
+   */
+  this.helper = new os.ns.MyComponentCtrlHelper();
+};
+goog.inherits(os.ns.OtherCtrl, os.ns.MyComponentUI.Controller);
+
+
+/**
+ * Add the directive to the module
+ */
+os.ui.Module.directive('other', [os.ns.MyComponentUI.directive]);
+
+
+/**
+ * Add a directive that is now a named export of its module
+ */
+os.ui.Module.directive('widget', [os.ns.myWidgetDirective.directive]);
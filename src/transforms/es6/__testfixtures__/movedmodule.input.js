@@ -0,0 +1,39 @@
+goog.module('os.ns.OtherCtrl');
+goog.module.declareLegacyNamespace();
+
+const MyComponentCtrl = goog.require('os.ns.MyComponentCtrl');
+const myComponentDirective = goog.require('os.ns.myComponentDirective');
+const OldName = goog.requireType('os.ns.OldName');
+const myWidgetDirective = goog.require('os.ns.myWidgetDirective');
+
+
+/**
+ * Controller extending a controller that moved to a UI module.
+ * @unrestricted
+ */
+class OtherCtrl extends MyComponentCtrl {
+  /**
+   * Constructor.
+   * @param {OldName} oldName A renamed module.
+   */
+  constructor(oldName) {
+    super();
+
+    /**
+     * @type {OldName}
+     */
+    this.oldName = oldName;
+
+    /**
+     * @type {Function}
+     */
+    this.directive = myComponentDirective;
+
+    /**
+     * @type {Function}
+     */
+    this.widgetDirective = myWidgetDirective;
+  }
+}
+
+exports = OtherCtrl;
@@ -0,0 +1,38 @@
+goog.module('os.ns.OtherCtrl');
+goog.module.declareLegacyNamespace();
+
+const {Controller: MyComponentCtrl, directive: myComponentDirective} = goog.require('os.ns.MyComponentUI');
+const OldName = goog.requireType('os.ns.NewName');
+const {directive: myWidgetDirective} = goog.require('os.ns.myWidgetDirective');
+
+
+/**
+ * Controller extending a controller that moved to a UI module.
+ * @unrestricted
+ */
+class OtherCtrl extends MyComponentCtrl {
+  /**
+   * Constructor.
+   * @param {OldName} oldName A renamed module.
+   */
+  constructor(oldName) {
+    super();
+
+    /**
+     * @type {OldName}
+     */
+    this.oldName = oldName;
+
+    /**
+     * @type {Function}
+     */
+    this.directive = myComponentDirective;
+
+    /**
+     * @type {Function}
+     */
+    this.widgetDirective = myWidgetDirective;
+  }
+}
+
+exports = OtherCtrl;
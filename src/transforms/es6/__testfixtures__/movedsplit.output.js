@@ -0,0 +1,16 @@
+goog.provide('os.ns.Consumer');
+
+goog.require('os.ns.MyClass');
+goog.require('os.ns.MyClass.CONST');
+
+
+/**
+ * Uses a constant that was split from the file providing its class.
+ * @constructor
+ */
+os.ns.Consumer = function() {
+  /**
+   * @type {os.ns.MyClass}
+   */
+  this.instance = new os.ns.MyClass(os.ns.MyClass.CONST);
+};
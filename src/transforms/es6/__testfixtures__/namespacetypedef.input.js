@@ -0,0 +1,35 @@
+goog.provide('os.ns.types');
+
+
+/**
+ * A typedef on the namespace.
+ * @typedef {function(string):boolean}
+ */
+os.ns.types.Filter;
+
+
+/**
+ * A private typedef on the namespace.
+ * @typedef {{key: string, value: *}}
+ * @private
+ */
+os.ns.types.Entry_;
+
+
+/**
+ * A typedef with a name that starts with another typedef.
+ * @typedef {Array<os.ns.types.Filter>}
+ */
+os.ns.types.FilterList;
+
+
+/**
+ * Filter entries.
+ * @param {!Array<os.ns.types.Entry_>} entries The entries.
+ * @param {os.ns.types.Filter} filter The filter.
+ * @param {os.ns.types.Filter=} opt_fallback The fallback filter.
+ * @return {!Array<os.ns.types.Entry_>}
+ */
+os.ns.types.filterEntries = function(entries, filter, opt_fallback) {
+  return entries.filter(entry => filter(entry.key));
+};
@@ -0,0 +1,38 @@
+goog.module('os.ns.types');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * A typedef on the namespace.
+ * @typedef {function(string):boolean}
+ */
+let Filter;
+
+/**
+ * A private typedef on the namespace.
+ * @typedef {{key: string, value: *}}
+ */
+let Entry_;
+
+/**
+ * A typedef with a name that starts with another typedef.
+ * @typedef {Array<Filter>}
+ */
+let FilterList;
+
+/**
+ * Filter entries.
+ * @param {!Array<Entry_>} entries The entries.
+ * @param {Filter} filter The filter.
+ * @param {Filter=} opt_fallback The fallback filter.
+ * @return {!Array<Entry_>}
+ */
+const filterEntries = function(entries, filter, opt_fallback) {
+  return entries.filter(entry => filter(entry.key));
+};
+
+exports = {
+  filterEntries,
+  Filter,
+  FilterList
+};
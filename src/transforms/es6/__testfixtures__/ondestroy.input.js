@@ -0,0 +1,76 @@
+goog.module('os.ns.DestroyUI');
+goog.module.declareLegacyNamespace();
+
+const registerDirective = goog.require('os.ui.registerDirective');
+
+
+/**
+ * Test directive.
+ * @return {angular.Directive}
+ */
+const directive = () => ({
+  restrict: 'E',
+  templateUrl: os.ROOT + 'views/destroy.html',
+  controller: Controller,
+  controllerAs: 'ctrl'
+});
+
+
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'destroy';
+
+/**
+ * Add the directive to the module
+ */
+registerDirective(directiveTag, directive);
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @param {!angular.Scope} $scope The Angular scope.
+   * @param {!angular.JQLite} $element The root DOM element.
+   * @ngInject
+   */
+  constructor($scope, $element) {
+    /**
+     * The root DOM element.
+     * @type {?angular.JQLite}
+     * @private
+     */
+    this.element_ = $element;
+
+    os.dispatcher.listen('refresh', this.onRefresh_, false, this);
+    $scope.$on('$destroy', this.destroy_.bind(this));
+  }
+
+  /**
+   * Clean up.
+   * @private
+   */
+  destroy_() {
+    os.dispatcher.unlisten('refresh', this.onRefresh_, false, this);
+    this.element_ = null;
+  }
+
+  /**
+   * Handle refresh events.
+   * @private
+   */
+  onRefresh_() {
+    this.element_.addClass('refreshed');
+  }
+}
+
+
+exports = {
+  Controller,
+  directive,
+  directiveTag
+};
@@ -0,0 +1,55 @@
+goog.module('os.ns.DestroyInlineUI');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * Test controller.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @param {!angular.Scope} $scope The Angular scope.
+   * @param {!angular.$timeout} $timeout The Angular timeout service.
+   * @ngInject
+   */
+  constructor($scope, $timeout) {
+    /**
+     * The Angular scope.
+     * @type {?angular.Scope}
+     * @private
+     */
+    this.scope_ = $scope;
+
+    /**
+     * The Angular timeout service.
+     * @type {?angular.$timeout}
+     * @private
+     */
+    this.timeout_ = $timeout;
+
+    /**
+     * The refresh promise.
+     * @type {?angular.$q.Promise}
+     * @private
+     */
+    this.refreshPromise_ = this.timeout_(this.refresh_.bind(this), 1000);
+
+    $scope.$on('$destroy', () => {
+      this.timeout_.cancel(this.refreshPromise_);
+      this.timeout_ = null;
+      this.scope_ = null;
+    });
+  }
+
+  /**
+   * Refresh the view.
+   * @private
+   */
+  refresh_() {
+    this.scope_.$broadcast('refresh');
+  }
+}
+
+
+exports = Controller;
@@ -0,0 +1,33 @@
+goog.module('os.ns.DestroyPublicCtrl');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * Controller cleaning up with a public method that subclasses may override.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @param {!angular.Scope} $scope The Angular scope.
+   * @ngInject
+   */
+  constructor($scope) {
+    /**
+     * The refresh count.
+     * @type {number}
+     */
+    this.count = 0;
+
+    $scope.$on('$destroy', this.dispose.bind(this));
+  }
+
+  /**
+   * Clean up the controller.
+   */
+  dispose() {
+    this.count = 0;
+  }
+}
+
+exports = Controller;
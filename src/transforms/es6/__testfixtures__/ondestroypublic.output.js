@@ -0,0 +1,38 @@
+goog.module('os.ns.DestroyPublicCtrl');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * Controller cleaning up with a public method that subclasses may override.
+ * @unrestricted
+ */
+class Controller {
+  /**
+   * Constructor.
+   * @ngInject
+   */
+  constructor() {
+    /**
+     * The refresh count.
+     * @type {number}
+     */
+    this.count = 0;
+  }
+
+  /**
+   * Angular $onDestroy lifecycle hook.
+   * @export
+   */
+  $onDestroy() {
+    this.dispose();
+  }
+
+  /**
+   * Clean up the controller.
+   */
+  dispose() {
+    this.count = 0;
+  }
+}
+
+exports = Controller;
@@ -0,0 +1,40 @@
+goog.provide('os.ns.PrototypeDeclarations');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that declares properties and methods on the prototype.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.PrototypeDeclarations = function() {
+  os.ns.PrototypeDeclarations.base(this, 'constructor');
+};
+goog.inherits(os.ns.PrototypeDeclarations, os.ns.ParentClass);
+
+
+/**
+ * The title, set by implementing classes.
+ * @type {string|undefined}
+ * @protected
+ */
+os.ns.PrototypeDeclarations.prototype.title;
+
+
+/**
+ * Render the thing.
+ * @param {Element} el The element.
+ * @param {boolean=} opt_force If the render should be forced.
+ * @return {boolean} If the thing was rendered.
+ */
+os.ns.PrototypeDeclarations.prototype.render;
+
+
+/**
+ * Get the title.
+ * @return {string|undefined}
+ */
+os.ns.PrototypeDeclarations.prototype.getTitle = function() {
+  return this.title;
+};
@@ -0,0 +1,44 @@
+goog.module('os.ns.PrototypeDeclarations');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that declares properties and methods on the prototype.
+ * @abstract
+ */
+class PrototypeDeclarations extends ParentClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    super();
+
+    /**
+     * The title, set by implementing classes.
+     * @type {string|undefined}
+     * @protected
+     */
+    this.title;
+  }
+
+  /**
+   * Get the title.
+   * @return {string|undefined}
+   */
+  getTitle() {
+    return this.title;
+  }
+
+  /**
+   * Render the thing.
+   * @param {Element} el The element.
+   * @param {boolean=} opt_force If the render should be forced.
+   * @return {boolean} If the thing was rendered.
+   * @abstract
+   */
+  render(el, opt_force) {}
+}
+
+exports = PrototypeDeclarations;
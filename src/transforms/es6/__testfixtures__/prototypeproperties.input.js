@@ -0,0 +1,88 @@
+goog.provide('os.ns.PrototypeProperties');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * The default label.
+ * @type {string}
+ */
+const DEFAULT_LABEL = 'default';
+
+
+/**
+ * Map shared by all instances.
+ * @type {!Object<string, number>}
+ */
+const SHARED_MAP = {};
+
+
+/**
+ * A class with values assigned to the prototype.
+ * @param {string} name The name.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.PrototypeProperties = function(name) {
+  os.ns.PrototypeProperties.base(this, 'constructor');
+
+  /**
+   * The name.
+   * @type {string}
+   */
+  this.name = name;
+};
+goog.inherits(os.ns.PrototypeProperties, os.ns.ParentClass);
+
+
+/**
+ * The number of times the thing happened.
+ * @type {number}
+ */
+os.ns.PrototypeProperties.prototype.count = 0;
+
+
+/**
+ * An optional label.
+ * @type {?string}
+ * @protected
+ */
+os.ns.PrototypeProperties.prototype.label = null;
+
+
+/**
+ * The maximum count.
+ * @type {number}
+ */
+os.ns.PrototypeProperties.prototype.max = Infinity;
+
+
+/**
+ * The default label.
+ * @type {string}
+ */
+os.ns.PrototypeProperties.prototype.defaultLabel = DEFAULT_LABEL;
+
+
+/**
+ * Values from the shared map.
+ * @type {!Object<string, number>}
+ */
+os.ns.PrototypeProperties.prototype.values = SHARED_MAP;
+
+
+/**
+ * Cached values, shared by all instances.
+ * @type {Object<string, number>}
+ * @private
+ */
+os.ns.PrototypeProperties.prototype.cache_ = {};
+
+
+/**
+ * Get the count.
+ * @return {number}
+ */
+os.ns.PrototypeProperties.prototype.getCount = function() {
+  return this.count;
+};
@@ -0,0 +1,86 @@
+goog.module('os.ns.PrototypeProperties');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * The default label.
+ * @type {string}
+ */
+const DEFAULT_LABEL = 'default';
+
+
+/**
+ * Map shared by all instances.
+ * @type {!Object<string, number>}
+ */
+const SHARED_MAP = {};
+
+
+/**
+ * A class with values assigned to the prototype.
+ */
+class PrototypeProperties extends ParentClass {
+  /**
+   * Constructor.
+   * @param {string} name The name.
+   */
+  constructor(name) {
+    super();
+
+    /**
+     * The number of times the thing happened.
+     * @type {number}
+     */
+    this.count = 0;
+
+    /**
+     * An optional label.
+     * @type {?string}
+     * @protected
+     */
+    this.label = null;
+
+    /**
+     * The maximum count.
+     * @type {number}
+     */
+    this.max = Infinity;
+
+    /**
+     * The default label.
+     * @type {string}
+     */
+    this.defaultLabel = DEFAULT_LABEL;
+
+    /**
+     * Values from the shared map.
+     * @type {!Object<string, number>}
+     */
+    this.values = SHARED_MAP;
+
+    /**
+     * Cached values, shared by all instances.
+     * @type {Object<string, number>}
+     * @private
+     */
+    this.cache_ = {};
+
+    /**
+     * The name.
+     * @type {string}
+     */
+    this.name = name;
+  }
+
+  /**
+   * Get the count.
+   * @return {number}
+   */
+  getCount() {
+    return this.count;
+  }
+}
+
+exports = PrototypeProperties;
@@ -0,0 +1,36 @@
+goog.provide('os.ns.MyRecord');
+
+
+/**
+ * A record.
+ * @record
+ */
+os.ns.MyRecord = function() {
+  /**
+   * The record id.
+   * @type {string}
+   */
+  this.id;
+};
+
+
+/**
+ * The record name.
+ * @type {string|undefined}
+ */
+os.ns.MyRecord.prototype.name;
+
+
+/**
+ * A callback on the record.
+ * @type {function(string):boolean}
+ */
+os.ns.MyRecord.prototype.callback;
+
+
+/**
+ * Get the record value.
+ * @param {string} key The value key.
+ * @return {*} The value.
+ */
+os.ns.MyRecord.prototype.getValue;
@@ -0,0 +1,41 @@
+goog.module('os.ns.MyRecord');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * A record.
+ * @record
+ */
+class MyRecord {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    /**
+     * The record id.
+     * @type {string}
+     */
+    this.id;
+
+    /**
+     * The record name.
+     * @type {string|undefined}
+     */
+    this.name;
+
+    /**
+     * A callback on the record.
+     * @type {function(string):boolean}
+     */
+    this.callback;
+  }
+
+  /**
+   * Get the record value.
+   * @param {string} key The value key.
+   * @return {*} The value.
+   */
+  getValue(key) {}
+}
+
+exports = MyRecord;
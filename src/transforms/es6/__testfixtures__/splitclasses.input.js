@@ -0,0 +1,69 @@
+goog.provide('os.ns.MyClass');
+goog.provide('os.ns.MyHelper');
+goog.provide('os.ns.MyInterface');
+
+goog.require('os.ns.Base');
+goog.require('os.ns.Other');
+
+
+/**
+ * An interface provided by the file.
+ * @interface
+ */
+os.ns.MyInterface = function() {};
+
+
+/**
+ * Do something with a value.
+ * @param {string} value The value.
+ */
+os.ns.MyInterface.prototype.doSomething;
+
+
+/**
+ * The main class in the file.
+ * @implements {os.ns.MyInterface}
+ * @constructor
+ */
+os.ns.MyClass = function() {
+  /**
+   * The helper.
+   * @type {os.ns.MyHelper}
+   */
+  this.helper = new os.ns.MyHelper();
+};
+
+
+/**
+ * @inheritDoc
+ */
+os.ns.MyClass.prototype.doSomething = function(value) {
+  this.helper.help(value);
+};
+
+
+/**
+ * A helper class.
+ * @extends {os.ns.Base}
+ * @constructor
+ */
+os.ns.MyHelper = function() {
+  os.ns.MyHelper.base(this, 'constructor');
+};
+goog.inherits(os.ns.MyHelper, os.ns.Base);
+
+
+/**
+ * Help with a value.
+ * @param {string} value The value.
+ */
+os.ns.MyHelper.prototype.help = function(value) {
+  os.ns.Other.log(value);
+};
+
+
+/**
+ * The number of helpers.
+ * @type {number}
+ */
+os.ns.MyHelper.COUNT = 0;
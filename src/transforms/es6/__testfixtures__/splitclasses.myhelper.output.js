@@ -0,0 +1,47 @@
+goog.module('os.ns.MyHelper');
+goog.module.declareLegacyNamespace();
+
+const Base = goog.require('os.ns.Base');
+const Other = goog.require('os.ns.Other');
+
+
+/**
+ * A helper class.
+ */
+class MyHelper extends Base {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    super();
+  }
+
+  /**
+   * Help with a value.
+   * @param {string} value The value.
+   */
+  help(value) {
+    Other.log(value);
+  }
+
+  /**
+   * The number of helpers.
+   * @type {number}
+   */
+  static get COUNT() {
+    return COUNT;
+  }
+
+  static set COUNT(value) {
+    COUNT = value;
+  }
+}
+
+
+/**
+ * The number of helpers.
+ * @type {number}
+ */
+let COUNT = 0;
+
+exports = MyHelper;
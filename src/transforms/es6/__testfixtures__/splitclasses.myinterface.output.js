@@ -0,0 +1,17 @@
+goog.module('os.ns.MyInterface');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * An interface provided by the file.
+ * @interface
+ */
+class MyInterface {
+  /**
+   * Do something with a value.
+   * @param {string} value The value.
+   */
+  doSomething(value) {}
+}
+
+exports = MyInterface;
@@ -0,0 +1,33 @@
+goog.module('os.ns.MyClass');
+goog.module.declareLegacyNamespace();
+
+const MyHelper = goog.require('os.ns.MyHelper');
+
+const MyInterface = goog.requireType('os.ns.MyInterface');
+
+
+/**
+ * The main class in the file.
+ * @implements {MyInterface}
+ */
+class MyClass {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    /**
+     * The helper.
+     * @type {MyHelper}
+     */
+    this.helper = new MyHelper();
+  }
+
+  /**
+   * @inheritDoc
+   */
+  doSomething(value) {
+    this.helper.help(value);
+  }
+}
+
+exports = MyClass;
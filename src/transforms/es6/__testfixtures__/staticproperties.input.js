@@ -0,0 +1,55 @@
+goog.provide('os.ns.StaticProperties');
+
+
+/**
+ * A class with static properties.
+ * @constructor
+ */
+os.ns.StaticProperties = function() {
+  /**
+   * @type {number}
+   * @private
+   */
+  this.size_ = os.ns.StaticProperties.DEFAULT_SIZE;
+};
+
+
+/**
+ * Get the cached value for a key.
+ * @param {string} key The key.
+ * @return {*}
+ */
+os.ns.StaticProperties.prototype.get = function(key) {
+  return os.ns.StaticProperties.cache_[key];
+};
+
+
+/**
+ * The default size.
+ * @type {number}
+ * @const
+ */
+os.ns.StaticProperties.DEFAULT_SIZE = 10;
+
+
+/**
+ * The maximum size.
+ * @const {number}
+ */
+os.ns.StaticProperties.MAX_SIZE = os.ns.StaticProperties.DEFAULT_SIZE * 10;
+
+
+/**
+ * Cached values.
+ * @type {Object<string, *>}
+ * @private
+ */
+os.ns.StaticProperties.cache_ = {};
+
+
+/**
+ * Clear the cache.
+ */
+os.ns.StaticProperties.clear = function() {
+  os.ns.StaticProperties.cache_ = {};
+};
@@ -0,0 +1,89 @@
+goog.module('os.ns.StaticProperties');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * A class with static properties.
+ */
+class StaticProperties {
+  /**
+   * Constructor.
+   */
+  constructor() {
+    /**
+     * @type {number}
+     * @private
+     */
+    this.size_ = DEFAULT_SIZE;
+  }
+
+  /**
+   * Get the cached value for a key.
+   * @param {string} key The key.
+   * @return {*}
+   */
+  get(key) {
+    return cache_[key];
+  }
+
+  /**
+   * The default size.
+   * @type {number}
+   */
+  static get DEFAULT_SIZE() {
+    return DEFAULT_SIZE;
+  }
+
+  /**
+   * The maximum size.
+   * @type {number}
+   */
+  static get MAX_SIZE() {
+    return MAX_SIZE;
+  }
+
+  /**
+   * Cached values.
+   * @type {Object<string, *>}
+   * @private
+   */
+  static get cache_() {
+    return cache_;
+  }
+
+  static set cache_(value) {
+    cache_ = value;
+  }
+
+  /**
+   * Clear the cache.
+   */
+  static clear() {
+    cache_ = {};
+  }
+}
+
+
+/**
+ * The default size.
+ * @type {number}
+ */
+const DEFAULT_SIZE = 10;
+
+
+/**
+ * The maximum size.
+ * @type {number}
+ */
+const MAX_SIZE = DEFAULT_SIZE * 10;
+
+
+/**
+ * Cached values.
+ * @type {Object<string, *>}
+ * @private
+ */
+let cache_ = {};
+
+
+exports = StaticProperties;
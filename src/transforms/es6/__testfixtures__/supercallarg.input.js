@@ -0,0 +1,26 @@
+goog.provide('os.ns.SuperCallArg');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that passes the super() argument to a method before calling super().
+ * @param {Object} options The options.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.SuperCallArg = function(options) {
+  this.init(options);
+
+  os.ns.SuperCallArg.base(this, 'constructor', options);
+};
+goog.inherits(os.ns.SuperCallArg, os.ns.ParentClass);
+
+
+/**
+ * Initialize the options.
+ * @param {Object} options The options.
+ */
+os.ns.SuperCallArg.prototype.init = function(options) {
+  options.initialized = true;
+};
@@ -0,0 +1,30 @@
+goog.module('os.ns.SuperCallArg');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that passes the super() argument to a method before calling super().
+ */
+class SuperCallArg extends ParentClass {
+  /**
+   * Constructor.
+   * @param {Object} options The options.
+   */
+  constructor(options) {
+    this.init(options);
+
+    super(options);
+  }
+
+  /**
+   * Initialize the options.
+   * @param {Object} options The options.
+   */
+  init(options) {
+    options.initialized = true;
+  }
+}
+
+exports = SuperCallArg;
@@ -0,0 +1,24 @@
+goog.provide('os.ns.SuperDependsOnThis');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class with a super call that depends on statements accessing this.
+ * @param {Object=} opt_options The options.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.SuperDependsOnThis = function(opt_options) {
+  /**
+   * The options.
+   * @type {Object}
+   * @private
+   */
+  this.options_ = opt_options || {};
+
+  opt_options = this.options_;
+
+  os.ns.SuperDependsOnThis.base(this, 'constructor', opt_options);
+};
+goog.inherits(os.ns.SuperDependsOnThis, os.ns.ParentClass);
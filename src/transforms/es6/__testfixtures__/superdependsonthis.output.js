@@ -0,0 +1,29 @@
+goog.module('os.ns.SuperDependsOnThis');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class with a super call that depends on statements accessing this.
+ */
+class SuperDependsOnThis extends ParentClass {
+  /**
+   * Constructor.
+   * @param {Object=} opt_options The options.
+   */
+  constructor(opt_options) {
+    /**
+     * The options.
+     * @type {Object}
+     * @private
+     */
+    this.options_ = opt_options || {};
+
+    opt_options = this.options_;
+
+    super(opt_options);
+  }
+}
+
+exports = SuperDependsOnThis;
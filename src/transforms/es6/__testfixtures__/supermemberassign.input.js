@@ -0,0 +1,24 @@
+goog.provide('os.ns.SuperMemberAssign');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that changes a property of the super() argument after accessing this.
+ * @param {Object} options The options.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.SuperMemberAssign = function(options) {
+  /**
+   * The bar.
+   * @type {string}
+   * @private
+   */
+  this.bar_ = 'bar';
+
+  options.foo = this.bar_;
+
+  os.ns.SuperMemberAssign.base(this, 'constructor', options);
+};
+goog.inherits(os.ns.SuperMemberAssign, os.ns.ParentClass);
@@ -0,0 +1,29 @@
+goog.module('os.ns.SuperMemberAssign');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that changes a property of the super() argument after accessing this.
+ */
+class SuperMemberAssign extends ParentClass {
+  /**
+   * Constructor.
+   * @param {Object} options The options.
+   */
+  constructor(options) {
+    /**
+     * The bar.
+     * @type {string}
+     * @private
+     */
+    this.bar_ = 'bar';
+
+    options.foo = this.bar_;
+
+    super(options);
+  }
+}
+
+exports = SuperMemberAssign;
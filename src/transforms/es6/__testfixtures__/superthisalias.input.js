@@ -0,0 +1,32 @@
+goog.provide('os.ns.SuperThisAlias');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that stores the super() argument on this, then calls a method that may change it.
+ * @param {Object} options The options.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.SuperThisAlias = function(options) {
+  /**
+   * The options.
+   * @type {Object}
+   * @private
+   */
+  this.options_ = options;
+
+  this.init();
+
+  os.ns.SuperThisAlias.base(this, 'constructor', options);
+};
+goog.inherits(os.ns.SuperThisAlias, os.ns.ParentClass);
+
+
+/**
+ * Initialize the options.
+ */
+os.ns.SuperThisAlias.prototype.init = function() {
+  this.options_.initialized = true;
+};
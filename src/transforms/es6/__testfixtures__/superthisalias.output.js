@@ -0,0 +1,36 @@
+goog.module('os.ns.SuperThisAlias');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that stores the super() argument on this, then calls a method that may change it.
+ */
+class SuperThisAlias extends ParentClass {
+  /**
+   * Constructor.
+   * @param {Object} options The options.
+   */
+  constructor(options) {
+    /**
+     * The options.
+     * @type {Object}
+     * @private
+     */
+    this.options_ = options;
+
+    this.init();
+
+    super(options);
+  }
+
+  /**
+   * Initialize the options.
+   */
+  init() {
+    this.options_.initialized = true;
+  }
+}
+
+exports = SuperThisAlias;
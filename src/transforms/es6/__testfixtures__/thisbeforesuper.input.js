@@ -0,0 +1,34 @@
+goog.provide('os.ns.ThisBeforeSuper');
+
+goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that accesses this before calling the parent constructor.
+ * @param {Object=} opt_options The options.
+ * @extends {os.ns.ParentClass}
+ * @constructor
+ */
+os.ns.ThisBeforeSuper = function(opt_options) {
+  var options = opt_options || {};
+
+  /**
+   * The options.
+   * @type {Object}
+   * @private
+   */
+  this.options_ = options;
+
+  /**
+   * A listener that has its own this context.
+   * @type {function()}
+   * @private
+   */
+  this.listener_ = function() {
+    this.dispose();
+  };
+
+  os.ns.ThisBeforeSuper.base(this, 'constructor', options);
+};
+goog.inherits(os.ns.ThisBeforeSuper, os.ns.ParentClass);
+
@@ -0,0 +1,38 @@
+goog.module('os.ns.ThisBeforeSuper');
+goog.module.declareLegacyNamespace();
+
+const ParentClass = goog.require('os.ns.ParentClass');
+
+
+/**
+ * A class that accesses this before calling the parent constructor.
+ */
+class ThisBeforeSuper extends ParentClass {
+  /**
+   * Constructor.
+   * @param {Object=} opt_options The options.
+   */
+  constructor(opt_options) {
+    var options = opt_options || {};
+
+    super(options);
+
+    /**
+     * The options.
+     * @type {Object}
+     * @private
+     */
+    this.options_ = options;
+
+    /**
+     * A listener that has its own this context.
+     * @type {function()}
+     * @private
+     */
+    this.listener_ = function() {
+      this.dispose();
+    };
+  }
+}
+
+exports = ThisBeforeSuper;
@@ -0,0 +1,11 @@
+goog.provide('os.ns.MyOptions');
+
+
+/**
+ * Options for a thing, provided as a typedef.
+ * @typedef {{
+ *   name: string,
+ *   parent: (os.ns.MyOptions|undefined)
+ * }}
+ */
+os.ns.MyOptions;
@@ -0,0 +1,14 @@
+goog.module('os.ns.MyOptions');
+goog.module.declareLegacyNamespace();
+
+
+/**
+ * Options for a thing, provided as a typedef.
+ * @typedef {{
+ *   name: string,
+ *   parent: (MyOptions|undefined)
+ * }}
+ */
+let MyOptions;
+
+exports = MyOptions;
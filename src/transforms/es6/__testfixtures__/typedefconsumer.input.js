@@ -0,0 +1,25 @@
+goog.provide('os.ns.OptionsUser');
+
+goog.require('os.ns.MyOptions');
+goog.require('os.ns.types');
+
+
+/**
+ * Class using typedefs from other files.
+ * @param {os.ns.MyOptions} options The options.
+ * @param {os.ns.MyOptions=} opt_defaults The default options.
+ * @constructor
+ */
+os.ns.OptionsUser = function(options, opt_defaults) {
+  /**
+   * @type {os.ns.MyOptions}
+   * @private
+   */
+  this.options_ = options || opt_defaults;
+
+  /**
+   * @type {os.ns.types.Filter}
+   * @private
+   */
+  this.filter_ = os.ns.types.filterEntries.bind(this);
+};
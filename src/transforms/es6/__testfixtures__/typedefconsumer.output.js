@@ -0,0 +1,33 @@
+goog.module('os.ns.OptionsUser');
+goog.module.declareLegacyNamespace();
+
+const types = goog.require('os.ns.types');
+
+const MyOptions = goog.requireType('os.ns.MyOptions');
+
+
+/**
+ * Class using typedefs from other files.
+ */
+class OptionsUser {
+  /**
+   * Constructor.
+   * @param {MyOptions} options The options.
+   * @param {MyOptions=} opt_defaults The default options.
+   */
+  constructor(options, opt_defaults) {
+    /**
+     * @type {MyOptions}
+     * @private
+     */
+    this.options_ = options || opt_defaults;
+
+    /**
+     * @type {types.Filter}
+     * @private
+     */
+    this.filter_ = types.filterEntries.bind(this);
+  }
+}
+
+exports = OptionsUser;
@@ -2,7 +2,7 @@ goog.module('os.ns.MyComponentUI');
 goog.module.declareLegacyNamespace();
 
 const ParentCtrl = goog.require('os.ns.ParentCtrl');
-const Module = goog.require('os.ui.Module');
+const registerDirective = goog.require('os.ui.registerDirective');
 
 
 /**
@@ -18,10 +18,17 @@ const directive = () => ({
 });
 
 
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'my-component';
+
+
 /**
  * Add the directive to the module
  */
-Module.directive('my-component', [directive]);
+registerDirective(directiveTag, directive);
 
 
 /**
@@ -153,5 +160,6 @@ Controller.prototype.overrideToExpression = goog.nullFunction;
 
 exports = {
   Controller,
-  directive
+  directive,
+  directiveTag
 };
@@ -3,7 +3,7 @@ goog.module.declareLegacyNamespace();
 
 const ParentCtrl = goog.require('os.ns.ParentCtrl');
 const myParentDirective = goog.require('os.ns.myParentDirective');
-const Module = goog.require('os.ui.Module');
+const registerDirective = goog.require('os.ui.registerDirective');
 
 
 /**
@@ -17,10 +17,17 @@ const directive = () => {
 };
 
 
+/**
+ * The element tag for the directive.
+ * @type {string}
+ */
+const directiveTag = 'my-component';
+
+
 /**
  * Add the directive to the module
  */
-Module.directive('my-component', [directive]);
+registerDirective(directiveTag, directive);
 
 
 /**
@@ -152,5 +159,6 @@ Controller.prototype.overrideToExpression = goog.nullFunction;
 
 exports = {
   Controller,
-  directive
+  directive,
+  directiveTag
 };
@@ -0,0 +1,41 @@
+/* eslint-env jest */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {applyTransform, defineTest} = require('jscodeshift/dist/testUtils');
+const options = require('../../../utils/options').getDefaultTestOptions();
+const {logger} = require('../../../utils/logger');
+
+defineTest(__dirname, 'directivetocomponent', options, 'component');
+
+describe('directivetocomponent', () => {
+  const fixturesDir = path.join(__dirname, '..', '__testfixtures__');
+  const readInput = (name) => {
+    const filePath = path.join(fixturesDir, `${name}.input.js`);
+    return {path: filePath, source: fs.readFileSync(filePath, 'utf8')};
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports blocked directives and leaves them unchanged', () => {
+    const log = jest.spyOn(logger, 'log');
+    const transform = require('../directivetocomponent');
+
+    expect(applyTransform(transform, options, readInput('componentblocked'))).toEqual('');
+    expect(log).toHaveBeenCalledWith('warn', 'Unable to convert directive to a component. The directive:\n' +
+        '    uses replace\n    uses link\n    is not restricted to an element with \'E\'');
+  });
+
+  it('warns that modules registering the directive export must be updated', () => {
+    const log = jest.spyOn(logger, 'log');
+    const transform = require('../directivetocomponent');
+
+    applyTransform(transform, options, readInput('component'));
+
+    expect(log).toHaveBeenCalledWith('warn', 'Converted directive to component myComponent. Modules registering ' +
+        'the directive export must be updated to register component with .component().');
+  });
+});
@@ -0,0 +1,46 @@
+/* eslint-env jest */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const jscs = require('jscodeshift');
+const {applyTransform, defineTest} = require('jscodeshift/dist/testUtils');
+const options = require('../../../utils/options').getDefaultTestOptions();
+const {logger} = require('../../../utils/logger');
+const {getFileProvides, loadProvidesIndex} = require('../../../utils/provides');
+
+options.providesIndex = path.join(__dirname, '..', '__testfixtures__', 'es6.index.json');
+
+defineTest(__dirname, 'moduletoes6', options, 'es6class');
+defineTest(__dirname, 'moduletoes6', options, 'es6enum');
+defineTest(__dirname, 'moduletoes6', options, 'es6namespace');
+defineTest(__dirname, 'moduletoes6', options, 'es6namespaceexpr');
+defineTest(__dirname, 'moduletoes6', options, 'es6namespaceconsumer');
+defineTest(__dirname, 'moduletoes6', options, 'es6propertyexports');
+
+describe('moduletoes6 namespace exports', () => {
+  it('indexes namespace exports with the kind used by importers', () => {
+    const inputPath = path.join(__dirname, '..', '__testfixtures__', 'es6namespaceexpr.input.js');
+    const record = getFileProvides(jscs(fs.readFileSync(inputPath, 'utf8')));
+    const index = loadProvidesIndex(options.providesIndex);
+
+    expect(record.modules['os.ns.utils'].kind).toEqual(index.modules['os.ns.utils'].kind);
+    expect(record.modules['os.ns.utils'].exports).toEqual(index.modules['os.ns.utils'].exports);
+  });
+});
+
+describe('moduletoes6 exports', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips files mixing exports assignments', () => {
+    const warn = jest.spyOn(logger, 'warn');
+    const transform = require('../moduletoes6');
+    const source = 'goog.module(\'os.ns.Mixed\');\n\nclass Mixed {}\n\nexports = Mixed;\nexports.VALUE = 5;\n';
+
+    expect(applyTransform(transform, options, {path: 'mixed.js', source})).toEqual('');
+    expect(warn).toHaveBeenCalledWith('Unable to convert exports. Assign exports once at the root of the file, ' +
+        'either with exports = ... or with exports.name = ... for each export.');
+  });
+});
@@ -0,0 +1,8 @@
+'use strict';
+
+const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const options = require('../../../utils/options').getDefaultTestOptions();
+
+defineTest(__dirname, 'ondestroy', options, 'ondestroy');
+defineTest(__dirname, 'ondestroy', options, 'ondestroyinline');
+defineTest(__dirname, 'ondestroy', options, 'ondestroypublic');
@@ -1,19 +1,139 @@
+/* eslint-env jest */
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const {applyTransform, defineTest} = require('jscodeshift/dist/testUtils');
 const options = require('../../../utils/options').getDefaultTestOptions();
+const {logger} = require('../../../utils/logger');
 
+const indexOptions = Object.assign({
+  providesIndex: path.join(__dirname, '..', '__testfixtures__', 'es6.index.json')
+}, options);
+
+const splitOptions = Object.assign({split: true}, options);
+const injectAssignOptions = Object.assign({inject: 'assign'}, options);
+const injectStaticOptions = Object.assign({inject: 'static'}, options);
+
+defineTest(__dirname, 'providetomodule', options, 'abstractmethod');
+defineTest(__dirname, 'providetomodule', options, 'accessors');
+defineTest(__dirname, 'providetomodule', indexOptions, 'ancestorcalls');
+defineTest(__dirname, 'providetomodule', options, 'classrestrictions');
 defineTest(__dirname, 'providetomodule', options, 'closureclass');
 defineTest(__dirname, 'providetomodule', options, 'controller');
 defineTest(__dirname, 'providetomodule', options, 'defines');
 defineTest(__dirname, 'providetomodule', options, 'directive');
 defineTest(__dirname, 'providetomodule', options, 'enum');
+defineTest(__dirname, 'providetomodule', options, 'googscope');
+defineTest(__dirname, 'providetomodule', options, 'iife');
+defineTest(__dirname, 'providetomodule', options, 'iifecollision');
+defineTest(__dirname, 'providetomodule', indexOptions, 'indexrequires');
+defineTest(__dirname, 'providetomodule', injectAssignOptions, 'injectassign');
+defineTest(__dirname, 'providetomodule', injectStaticOptions, 'injectstatic');
 defineTest(__dirname, 'providetomodule', options, 'interface');
+defineTest(__dirname, 'providetomodule', options, 'mixin');
 defineTest(__dirname, 'providetomodule', options, 'multiprovidesclass');
 defineTest(__dirname, 'providetomodule', options, 'multiprovidesnoref');
 defineTest(__dirname, 'providetomodule', options, 'namespace');
+defineTest(__dirname, 'providetomodule', options, 'namespacetypedef');
+defineTest(__dirname, 'providetomodule', options, 'prototypedeclarations');
+defineTest(__dirname, 'providetomodule', options, 'prototypeproperties');
+defineTest(__dirname, 'providetomodule', options, 'record');
 defineTest(__dirname, 'providetomodule', options, 'requirevars');
 defineTest(__dirname, 'providetomodule', options, 'resolvethis');
 defineTest(__dirname, 'providetomodule', options, 'singlenamespace');
+defineTest(__dirname, 'providetomodule', splitOptions, 'splitclasses');
+defineTest(__dirname, 'providetomodule', options, 'staticproperties');
+defineTest(__dirname, 'providetomodule', options, 'supercallarg');
+defineTest(__dirname, 'providetomodule', options, 'superdependsonthis');
+defineTest(__dirname, 'providetomodule', options, 'supermemberassign');
+defineTest(__dirname, 'providetomodule', options, 'superthisalias');
+defineTest(__dirname, 'providetomodule', options, 'thisbeforesuper');
+defineTest(__dirname, 'providetomodule', options, 'typedef');
+defineTest(__dirname, 'providetomodule', options, 'typedefconsumer');
 defineTest(__dirname, 'providetomodule', options, 'ui');
 defineTest(__dirname, 'providetomodule', options, 'uiextends');
+
+describe('providetomodule split', () => {
+  const fixturesDir = path.join(__dirname, '..', '__testfixtures__');
+  const readFixture = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'splitclasses-'));
+  });
+
+  afterEach(() => {
+    rimraf.sync(tempDir);
+  });
+
+  it('writes extra modules to new files', () => {
+    const transform = require('../providetomodule');
+    const filePath = path.join(tempDir, 'myclass.js');
+    const input = {path: filePath, source: readFixture('splitclasses.input.js')};
+    const output = applyTransform(transform, {split: true}, input);
+
+    expect(output).toEqual(readFixture('splitclasses.output.js').trim());
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['myhelper.js', 'myinterface.js']);
+    expect(fs.readFileSync(path.join(tempDir, 'myhelper.js'), 'utf8'))
+        .toEqual(readFixture('splitclasses.myhelper.output.js'));
+    expect(fs.readFileSync(path.join(tempDir, 'myinterface.js'), 'utf8'))
+        .toEqual(readFixture('splitclasses.myinterface.output.js'));
+  });
+
+  it('writes extra modules next to a file without a directory', () => {
+    const transform = require('../providetomodule');
+    const cwd = process.cwd();
+    process.chdir(tempDir);
+
+    try {
+      applyTransform(transform, {split: true}, {path: 'myclass.js', source: readFixture('splitclasses.input.js')});
+    } finally {
+      process.chdir(cwd);
+    }
+
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['myhelper.js', 'myinterface.js']);
+  });
+});
+
+describe('providetomodule prototype properties', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('warns about mutable values shared on the prototype', () => {
+    const log = jest.spyOn(logger, 'log');
+    const transform = require('../providetomodule');
+    const filePath = path.join(__dirname, '..', '__testfixtures__', 'prototypeproperties.input.js');
+
+    applyTransform(transform, options, {path: filePath, source: fs.readFileSync(filePath, 'utf8')});
+
+    const sharedWarnings = log.mock.calls.filter(call => call[0] === 'warn' && /shared by all instances/.test(call[1]))
+        .map(call => call[1].split(' ')[2]);
+    expect(sharedWarnings).toEqual(['values', 'cache_']);
+  });
+});
+
+describe('providetomodule mixins', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('warns about mixins that may replace class methods', () => {
+    const log = jest.spyOn(logger, 'log');
+    const transform = require('../providetomodule');
+    const filePath = path.join(__dirname, '..', '__testfixtures__', 'mixin.input.js');
+
+    applyTransform(transform, options, {path: filePath, source: fs.readFileSync(filePath, 'utf8')});
+
+    const mixinWarnings = log.mock.calls.filter(call => call[0] === 'warn' && /os\.ns\.MixinClass/.test(call[1]))
+        .map(call => call[1]);
+    expect(mixinWarnings).toEqual([
+      'Found goog.mixin for os.ns.MixinClass before methods were added to the prototype. Class methods are defined ' +
+          'first, so verify the mixin does not replace: getValue.',
+      'Found members copied to the os.ns.MixinClass prototype. Verify they do not replace methods defined in the class.'
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+/* eslint-env jest */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {applyTransform, defineTest} = require('jscodeshift/dist/testUtils');
+const options = require('../../../utils/options').getDefaultTestOptions();
+const {logger} = require('../../../utils/logger');
+
+options.providesIndex = path.join(__dirname, '..', '__testfixtures__', 'es6.index.json');
+
+defineTest(__dirname, 'removelegacynamespace', options, 'legacynamespace');
+defineTest(__dirname, 'removelegacynamespace', options, 'legacynamespacenorequires');
+
+describe('removelegacynamespace', () => {
+  const fixturesDir = path.join(__dirname, '..', '__testfixtures__');
+  const readInput = (name) => {
+    const filePath = path.join(fixturesDir, `${name}.input.js`);
+    return {path: filePath, source: fs.readFileSync(filePath, 'utf8')};
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports modules still referenced as a global and leaves them unchanged', () => {
+    const warn = jest.spyOn(logger, 'warn');
+    const transform = require('../removelegacynamespace');
+    const blockingFile = path.relative(process.cwd(), path.join(fixturesDir, 'os', 'ns', 'ns.js'));
+
+    expect(applyTransform(transform, options, readInput('legacynamespaceblocked'))).toEqual('');
+    expect(warn).toHaveBeenCalledWith(
+        `os.ns.MyClass is still referenced as a global by 1 file(s):\n    ${blockingFile}`);
+  });
+
+  it('reports parent namespaces with global children and leaves them unchanged', () => {
+    const warn = jest.spyOn(logger, 'warn');
+    const transform = require('../removelegacynamespace');
+
+    expect(applyTransform(transform, options, readInput('legacynamespaceparent'))).toEqual('');
+    expect(warn).toHaveBeenCalledWith('os.ns has 4 child namespace(s) that are still global:\n    ' +
+        'os.ns.GrandparentClass\n    os.ns.MyClass\n    os.ns.MyEnum\n    os.ns.sideEffect');
+  });
+});
@@ -0,0 +1,49 @@
+/* eslint-env jest */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const options = require('../../../utils/options').getDefaultTestOptions();
+const {logger} = require('../../../utils/logger');
+const {loadMovedModules} = require('../../../utils/manifest');
+
+options.movedManifest = path.join(__dirname, '..', '__testfixtures__', 'moved.manifest');
+
+defineTest(__dirname, 'updatemovedmodules', options, 'movedlegacy');
+defineTest(__dirname, 'updatemovedmodules', options, 'movedmodule');
+defineTest(__dirname, 'updatemovedmodules', options, 'movedsplit');
+
+describe('updatemovedmodules manifest', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'movedmanifest-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rimraf.sync(tempDir);
+  });
+
+  it('skips blank lines and logs lines that are not valid JSON', () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const manifestPath = path.join(tempDir, 'moved.manifest');
+    fs.writeFileSync(manifestPath, [
+      '{"from": "os.ns.MyCtrl", "to": "os.ns.MyUI", "exportName": "Controller", "file": "os/ns/my.js"}',
+      '',
+      '{"from": "os.ns.Broken"',
+      '{"from": "os.ns.Other", "to": "os.ns.Other", "exportName": null, "file": "os/ns/other.js"}',
+      ''
+    ].join('\n'), 'utf8');
+
+    const entries = loadMovedModules(manifestPath);
+
+    expect(Object.keys(entries)).toEqual(['os.ns.MyCtrl', 'os.ns.Other']);
+    expect(entries['os.ns.MyCtrl'].file).toEqual(path.join(tempDir, 'os', 'ns', 'my.js'));
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(error.mock.calls[0][0]).toMatch(/^Unable to parse moved modules manifest .+ line 3: /);
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * @file Converts Angular directive/controller pairs in UI modules to Angular 1.5 components.
+ */
+
+const camelcase = require('camelcase');
+const jscs = require('jscodeshift');
+const {CONTROLLER_NAME, DIRECTIVE_HELPER, DIRECTIVE_NAME, DIRECTIVE_TAG_NAME} = require('../../utils/classes');
+const {isGoogModuleRequire} = require('../../utils/goog');
+const {createCall, printSource} = require('../../utils/jscs');
+const {logger, logWithNode} = require('../../utils/logger');
+
+/**
+ * Name of the component definition in the UI module.
+ * @type {string}
+ */
+const COMPONENT_NAME = 'component';
+
+/**
+ * Namespace of the Angular module components are registered with.
+ * @type {string}
+ */
+const ANGULAR_MODULE = 'os.ui.Module';
+
+/**
+ * The controller alias used by component templates.
+ * @type {string}
+ */
+const CONTROLLER_ALIAS = 'ctrl';
+
+/**
+ * Directive definition properties that can't be converted to a component.
+ * @type {Array<string>}
+ */
+const BLOCKING_KEYS = ['link', 'compile', 'replace', 'transclude'];
+
+/**
+ * Directive definition properties supported by components, or handled by the conversion.
+ * @type {Array<string>}
+ */
+const SUPPORTED_KEYS = ['restrict', 'scope', 'bindToController', 'template', 'templateUrl', 'controller',
+  'controllerAs', 'require'];
+
+/**
+ * Get the key of an object property.
+ * @param {Node} prop The property.
+ * @return {string} The key.
+ */
+const getKey = prop => prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+
+/**
+ * Get the required controllers from a directive `require` string or array as a component `require` object, keyed by
+ * the controller name without the `^`/`?` prefix. Components bind required controllers to the controller by key.
+ * @param {Node} value The `require` value.
+ * @return {Object<string, string>|null} The require object, or null if the value can't be converted.
+ */
+const getRequireObject = (value) => {
+  const elements = value.type === 'ArrayExpression' ? value.elements : [value];
+  if (!elements.length || elements.some(el => !el || el.type !== 'Literal' || typeof el.value !== 'string')) {
+    return null;
+  }
+
+  const requires = {};
+  for (const el of elements) {
+    const key = el.value.replace(/^[\^?]+/, '');
+    if (!/^[\w$]+$/.test(key) || requires[key]) {
+      return null;
+    }
+    requires[key] = el.value;
+  }
+
+  return requires;
+};
+
+/**
+ * Get the reasons a directive definition can't be converted to a component.
+ * @param {Node} definition The directive definition object.
+ * @return {!Array<string>} The blocking reasons.
+ */
+const getBlockers = (definition) => {
+  const blockers = [];
+  const props = {};
+  definition.properties.forEach(prop => props[getKey(prop)] = prop.value);
+
+  Object.keys(props).forEach(key => {
+    if (BLOCKING_KEYS.indexOf(key) > -1) {
+      blockers.push(`uses ${key}`);
+    } else if (SUPPORTED_KEYS.indexOf(key) === -1) {
+      blockers.push(`uses ${key}, which is not supported by components`);
+    }
+  });
+
+  // Angular defaults to 'EA', which a component can't match
+  if (!props.restrict || props.restrict.type !== 'Literal' || props.restrict.value !== 'E') {
+    blockers.push('is not restricted to an element with \'E\'');
+  }
+
+  if (props.require && props.require.type !== 'ObjectExpression' && !getRequireObject(props.require)) {
+    blockers.push('uses a require that can\'t be converted to an object');
+  }
+
+  if (!props.scope || props.scope.type !== 'ObjectExpression') {
+    blockers.push('does not have an isolate scope');
+  } else if (!props.bindToController || props.bindToController.type === 'Literal' && !props.bindToController.value) {
+    blockers.push('does not bind the isolate scope to the controller');
+  }
+
+  if (!props.controller || props.controller.type !== 'Identifier' || props.controller.name !== CONTROLLER_NAME) {
+    blockers.push(`does not use the ${CONTROLLER_NAME} class`);
+  }
+
+  if (!props.controllerAs || props.controllerAs.value !== CONTROLLER_ALIAS) {
+    blockers.push(`does not use '${CONTROLLER_ALIAS}' for controllerAs`);
+  }
+
+  return blockers;
+};
+
+/**
+ * Create a component definition from a directive definition. The isolate scope (or `bindToController` object)
+ * becomes `bindings`.
+ *
+ * The definition is parsed from the original source of each property, because recast adds blank lines after
+ * multi-line properties when printing a modified object.
+ *
+ * @param {Node} definition The directive definition object.
+ * @param {string} source The file source.
+ * @return {Node} The component definition object.
+ */
+const createComponentDefinition = (definition, source) => {
+  const getSource = node => source.slice((node.comments || []).concat([node])[0].start, node.end);
+  const bindToController = definition.properties.find(prop => getKey(prop) === 'bindToController');
+  const scope = definition.properties.find(prop => getKey(prop) === 'scope');
+  const bindings = bindToController.value.type === 'ObjectExpression' ? bindToController.value : scope.value;
+
+  const properties = [];
+  definition.properties.forEach(prop => {
+    const key = getKey(prop);
+    if (prop === scope) {
+      if (bindings.properties.length) {
+        properties.push(`bindings: ${getSource(bindings)}`);
+      }
+    } else if (key === 'require' && prop.value.type !== 'ObjectExpression') {
+      const requires = getRequireObject(prop.value);
+      const requireProps = Object.keys(requires).map(name => `${name}: '${requires[name]}'`);
+      properties.push(`require: {\n    ${requireProps.join(',\n    ')}\n  }`);
+    } else if (key !== 'restrict' && key !== 'bindToController') {
+      properties.push(getSource(prop));
+    }
+  });
+
+  return jscs(`({\n  ${properties.join(',\n  ')}\n})`).find(jscs.ObjectExpression).get().value;
+};
+
+/**
+ * Get the `const name = goog.require(namespace);` declarations for a namespace.
+ * @param {Collection} root The root collection for the file.
+ * @param {string} namespace The required namespace.
+ * @return {Collection} The declarations.
+ */
+const findModuleRequire = (root, namespace) => root.find(jscs.VariableDeclaration, node => isGoogModuleRequire(node) &&
+    node.declarations[0].id.type === 'Identifier' && node.declarations[0].init.arguments[0].value === namespace);
+
+/**
+ * Get the local name for the Angular module, replacing the require for the directive registration helper if it is no
+ * longer used.
+ * @param {Collection} root The root collection for the file.
+ * @param {NodePath} helperRequire Path to the registration helper require.
+ * @return {string} The local name.
+ */
+const requireAngularModule = (root, helperRequire) => {
+  const helperName = helperRequire.value.declarations[0].id.name;
+  const helperUsed = root.find(jscs.Identifier, {name: helperName}).length > 1;
+  const existing = findModuleRequire(root, ANGULAR_MODULE);
+  if (existing.length) {
+    if (!helperUsed) {
+      jscs(helperRequire).remove();
+    }
+    return existing.get().value.declarations[0].id.name;
+  }
+
+  const moduleName = ANGULAR_MODULE.split('.').pop();
+  const declaration = jscs.variableDeclaration('const', [
+    jscs.variableDeclarator(jscs.identifier(moduleName), createCall('goog.require', [jscs.literal(ANGULAR_MODULE)]))
+  ]);
+
+  if (helperUsed) {
+    jscs(helperRequire).insertAfter(declaration);
+  } else {
+    jscs(helperRequire).replaceWith(declaration);
+  }
+
+  return moduleName;
+};
+
+/**
+ * Convert a UI module with an Angular directive and controller to an Angular 1.5 component. The directive must be in
+ * the shape produced by `es6/providetomodule`: a `directive` function returning the definition object, and
+ * registration with the helper, `registerDirective(directiveTag, directive)`.
+ *
+ * The component is registered with the Angular module using the camel case name of the directive tag, and exported as
+ * `component` in place of `directive`. Directives that use `link`, `compile`, `replace` or transclusion, or otherwise
+ * behave differently as a component, are reported and left unchanged. A `require` string or array is converted to an
+ * object.
+ *
+ * The component definition can't be registered as a directive, so modules registering the `directive` export (ie
+ * legacy UI shims) are not updated automatically. A warning is logged for each converted module.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The updated source, or undefined if the file was not changed.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  const directiveDeclarator = root.find(jscs.VariableDeclarator, {id: {name: DIRECTIVE_NAME}});
+  if (!directiveDeclarator.length) {
+    return undefined;
+  }
+
+  const helperRequire = findModuleRequire(root, DIRECTIVE_HELPER);
+  const registration = helperRequire.length ? root.find(jscs.CallExpression, {
+    callee: {type: 'Identifier', name: helperRequire.get().value.declarations[0].id.name},
+    arguments: [{type: 'Identifier', name: DIRECTIVE_TAG_NAME}, {type: 'Identifier', name: DIRECTIVE_NAME}]
+  }) : helperRequire;
+  const tagDeclarator = root.find(jscs.VariableDeclarator, {id: {name: DIRECTIVE_TAG_NAME}});
+
+  const directiveFn = directiveDeclarator.get().value.init;
+  if (!registration.length || !tagDeclarator.length || tagDeclarator.get().value.init.type !== 'Literal') {
+    logWithNode('warn', `Unable to convert directive to a component. Register it with ` +
+        `registerDirective(${DIRECTIVE_TAG_NAME}, ${DIRECTIVE_NAME}).`, directiveFn);
+    return undefined;
+  }
+
+  if (directiveFn.type !== 'ArrowFunctionExpression' || directiveFn.body.type !== 'ObjectExpression') {
+    logWithNode('warn', 'Unable to convert directive to a component. It must return the definition object without ' +
+        'other statements.', directiveFn);
+    return undefined;
+  }
+
+  const blockers = getBlockers(directiveFn.body);
+  if (directiveFn.params.length) {
+    blockers.push('injects services, which the component definition can\'t use');
+  }
+
+  if (blockers.length) {
+    logWithNode('warn', `Unable to convert directive to a component. The directive:\n    ${blockers.join('\n    ')}`,
+        directiveFn);
+    return undefined;
+  }
+
+  // replace the directive function with the component definition
+  const directiveDeclaration = directiveDeclarator.get().parent.value;
+
+  const directiveDeclaratorNode = directiveDeclarator.get().value;
+  directiveDeclaratorNode.id = jscs.identifier(COMPONENT_NAME);
+  directiveDeclaratorNode.init = createComponentDefinition(directiveFn.body, file.source);
+  directiveDeclaration.comments = (directiveDeclaration.comments || []).map(comment =>
+    jscs.commentBlock(comment.value.replace(/@return {angular\.Directive}/, '@type {angular.Component}')));
+
+  // register the component with the Angular module, using the camel case tag
+  const registrationCall = registration.get().value;
+  const componentTag = camelcase(tagDeclarator.get().value.init.value);
+  const angularModule = jscs.identifier(ANGULAR_MODULE.split('.').pop());
+  registrationCall.callee = jscs.memberExpression(angularModule, jscs.identifier('component'));
+  registrationCall.arguments = [jscs.literal(componentTag), jscs.identifier(COMPONENT_NAME)];
+
+  // require the Angular module once the helper call is replaced, so the helper require is removed if it is unused
+  angularModule.name = requireAngularModule(root, helperRequire.get());
+
+  const registrationStatement = registration.get().parent.value;
+  registrationStatement.comments = (registrationStatement.comments || []).map(comment =>
+    jscs.commentBlock(comment.value.replace(/\bdirective\b/g, COMPONENT_NAME)));
+
+  // export the component in place of the directive
+  root.find(jscs.Identifier, {name: DIRECTIVE_NAME})
+      .filter(path => path.parent.value.type === 'Property' && path.parent.value.shorthand)
+      .forEach(path => {
+        path.parent.value.key = jscs.identifier(COMPONENT_NAME);
+        path.parent.value.value = jscs.identifier(COMPONENT_NAME);
+      });
+
+  logWithNode('warn', `Converted directive to component ${componentTag}. Modules registering the ` +
+      `${DIRECTIVE_NAME} export must be updated to register ${COMPONENT_NAME} with .component().`,
+      registrationStatement);
+
+  return printSource(root);
+};
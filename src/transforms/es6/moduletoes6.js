@@ -0,0 +1,309 @@
+/**
+ * @file Converts a `goog.module` file to an ES6 module, with `import`/`export` statements.
+ */
+
+const jscs = require('jscodeshift');
+const {getUniqueVarName} = require('../../utils/ast');
+const {createCall, printModuleSource} = require('../../utils/jscs');
+const {isGoogDeclareLegacyNamespace, isGoogModule, isGoogModuleRequire, isGoogRequire} = require('../../utils/goog');
+const {logger, logWithNode} = require('../../utils/logger');
+const {ProvideKind, getImportPath, getProvide, isNamespaceExports, loadProvidesIndex} = require('../../utils/provides');
+
+/**
+ * If a required module should be imported as the default export.
+ * @param {Object} provide The provides index entry for the required module.
+ * @param {string} localName The local variable name assigned by `goog.require`.
+ * @return {boolean}
+ */
+const isDefaultImport = (provide, localName) => {
+  if (provide.kind) {
+    // namespaces are exported as named values, all other modules use the default export
+    return provide.kind !== ProvideKind.NAMESPACE;
+  }
+
+  // kind is unknown, assume capitalized names are classes/enums
+  return /^[A-Z]/.test(localName);
+};
+
+/**
+ * Create an import declaration for a `goog.require` variable declaration.
+ * @param {Node} node The variable declaration node.
+ * @param {Object} provide The provides index entry for the required module.
+ * @param {string} importPath The relative import path.
+ * @return {Node|undefined} The import declaration, or undefined if the declaration could not be converted.
+ */
+const createImportForRequire = (node, provide, importPath) => {
+  const id = node.declarations[0].id;
+  const source = jscs.literal(importPath);
+
+  let specifiers;
+  if (id.type === 'Identifier') {
+    specifiers = [isDefaultImport(provide, id.name) ?
+      jscs.importDefaultSpecifier(jscs.identifier(id.name)) :
+      jscs.importNamespaceSpecifier(jscs.identifier(id.name))];
+  } else if (id.type === 'ObjectPattern' && id.properties.every(p => p.value.type === 'Identifier')) {
+    specifiers = id.properties.map(p => jscs.importSpecifier(jscs.identifier(p.key.name),
+        jscs.identifier(p.value.name)));
+  }
+
+  return specifiers ? jscs.importDeclaration(specifiers, source) : undefined;
+};
+
+/**
+ * Replace the `exports` assignment with ES6 export statements. Namespaces are exported as named values, and other
+ * values as the default export, matching the kind recorded in the provides index for importers.
+ * @param {NodePath} root The root node path.
+ * @param {NodePath} path The `exports = ...` expression statement path.
+ * @param {string} moduleName The module name.
+ */
+const replaceExports = (root, path, moduleName) => {
+  const value = path.value.expression.right;
+
+  if (isNamespaceExports(path.value)) {
+    // exports = {a, b: c, d: <expression>} -> const d = <expression>; export {a, c as b, d}
+    const specifiers = value.properties.map(p => {
+      let localName = p.value.type === 'Identifier' ? p.value.name : null;
+      if (!localName) {
+        localName = getUniqueVarName(root, p.key.name);
+        const varDeclaration = jscs.variableDeclaration('const', [
+          jscs.variableDeclarator(jscs.identifier(localName), p.value)
+        ]);
+        varDeclaration.comments = p.comments;
+        jscs(path).insertBefore(varDeclaration);
+      }
+
+      return jscs.exportSpecifier.from({
+        local: jscs.identifier(localName),
+        exported: jscs.identifier(p.key.name)
+      });
+    });
+    const exportDeclaration = jscs.exportNamedDeclaration(null, specifiers);
+    exportDeclaration.comments = path.value.comments;
+    jscs(path).replaceWith(exportDeclaration);
+  } else if (value.type === 'Identifier') {
+    // exports = MyClass -> export default MyClass
+    jscs(path).replaceWith(jscs.exportDefaultDeclaration(value));
+  } else {
+    // exports = <expression> -> assign to a local variable so JSDoc is attached to a declaration, then export
+    const varName = getUniqueVarName(root, moduleName);
+    const varDeclarator = jscs.variableDeclarator(jscs.identifier(varName), value);
+    const varDeclaration = jscs.variableDeclaration('const', [varDeclarator]);
+    varDeclaration.comments = path.value.comments;
+
+    jscs(path).replaceWith(varDeclaration);
+    jscs(path).insertAfter(jscs.exportDefaultDeclaration(jscs.identifier(varName)));
+  }
+};
+
+/**
+ * If a node is the `exports` object, and not a property or local variable named `exports`.
+ * @param {NodePath} path The identifier path.
+ * @return {boolean}
+ */
+const isExportsObject = (path) => {
+  const parent = path.parent.value;
+  return !(parent.type === 'MemberExpression' && parent.property === path.value && !parent.computed) &&
+      !(parent.type === 'Property' && parent.key === path.value && !parent.shorthand);
+};
+
+/**
+ * Get the `exports.name = value` statements at the root of the file, if every reference to `exports` can be converted
+ * to named ES6 exports. Other references to an exported property must read it, ie `exports.name()`.
+ * @param {Collection} root The root collection for the file.
+ * @return {Array<NodePath>|null} The assignment statement paths, or null if the exports can't be converted.
+ */
+const getPropertyExports = (root) => {
+  const assignments = [];
+  const reads = [];
+  const isValid = root.find(jscs.Identifier, {name: 'exports'}).filter(isExportsObject).every(path => {
+    const parent = path.parent.value;
+    if (parent.type === 'AssignmentExpression' && parent.left === path.value) {
+      // exports = ..., replaced by replaceExports
+      return true;
+    } else if (parent.type !== 'MemberExpression' || parent.computed) {
+      return false;
+    }
+
+    const assignment = path.parent.parent.value;
+    if (assignment.type === 'AssignmentExpression' && assignment.left === parent) {
+      const statement = path.parent.parent.parent;
+      assignments.push(statement);
+      return assignment.operator === '=' && statement.value.type === 'ExpressionStatement' &&
+          statement.parent.value.type === 'Program';
+    }
+
+    reads.push(parent.property.name);
+    return assignment.type !== 'UpdateExpression' && assignment.type !== 'UnaryExpression';
+  });
+
+  const names = assignments.map(path => path.value.expression.left.property.name);
+  if (!isValid || names.some((name, idx) => names.indexOf(name) !== idx) ||
+      reads.some(name => names.indexOf(name) === -1)) {
+    return null;
+  }
+
+  return assignments;
+};
+
+/**
+ * Replace an `exports.name = value` statement with a named ES6 export, ie `export const name = value;` or
+ * `export {value as name};` if the value is a local variable. Reads of the property in the file are replaced with the
+ * local variable.
+ * @param {Collection} root The root collection for the file.
+ * @param {NodePath} path The `exports.name = value` expression statement path.
+ */
+const replacePropertyExport = (root, path) => {
+  const name = path.value.expression.left.property.name;
+  const value = path.value.expression.right;
+
+  let localName;
+  let exportDeclaration;
+  let comments = path.value.comments;
+  if (value.type === 'Identifier') {
+    // exports.name = local -> export {local as name}
+    localName = value.name;
+    exportDeclaration = jscs.exportNamedDeclaration(null, [jscs.exportSpecifier.from({
+      local: jscs.identifier(localName),
+      exported: jscs.identifier(name)
+    })]);
+  } else {
+    localName = getUniqueVarName(root, name);
+    const varDeclaration = jscs.variableDeclaration('const', [
+      jscs.variableDeclarator(jscs.identifier(localName), value)
+    ]);
+
+    if (localName === name) {
+      // exports.name = <expression> -> export const name = <expression>
+      exportDeclaration = jscs.exportNamedDeclaration(varDeclaration);
+    } else {
+      // the name is used by another variable, so declare a unique local and export it with the name
+      varDeclaration.comments = comments;
+      comments = undefined;
+      jscs(path).insertBefore(varDeclaration);
+      exportDeclaration = jscs.exportNamedDeclaration(null, [jscs.exportSpecifier.from({
+        local: jscs.identifier(localName),
+        exported: jscs.identifier(name)
+      })]);
+    }
+  }
+
+  exportDeclaration.comments = comments;
+  jscs(path).replaceWith(exportDeclaration);
+
+  root.find(jscs.MemberExpression, {
+    object: {type: 'Identifier', name: 'exports'},
+    property: {name}
+  }).filter(memberPath => !memberPath.value.computed)
+      .forEach(memberPath => jscs(memberPath).replaceWith(jscs.identifier(localName)));
+};
+
+/**
+ * Convert a `goog.module` file to an ES6 module. `goog.require` declarations become imports, and `exports` assignments
+ * become exports. `goog.requireType` declarations are kept, so type-only dependencies don't affect load order.
+ *
+ * Options:
+ *  - providesIndex: Path to the JSON provides index used to resolve namespaces to files. Required.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The converted source, or undefined if the file was skipped.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  if (!options.providesIndex) {
+    logger.error('The providesIndex option is required to resolve namespaces to files.');
+    return undefined;
+  }
+
+  const index = loadProvidesIndex(options.providesIndex);
+  if (!index) {
+    return undefined;
+  }
+
+  const program = root.find(jscs.Program).get().value;
+  const googModule = program.body.find(isGoogModule);
+  if (!googModule) {
+    // not a goog.module file
+    return undefined;
+  }
+
+  const moduleName = googModule.expression.arguments[0].value;
+  const fileComments = googModule.comments;
+
+  const exportsAssignments = root.find(jscs.ExpressionStatement, {
+    expression: {
+      type: 'AssignmentExpression',
+      left: {type: 'Identifier', name: 'exports'}
+    }
+  }).filter(path => path.parent.value.type === 'Program');
+  const propertyExports = getPropertyExports(root);
+  if (!propertyExports || exportsAssignments.length > 1 || exportsAssignments.length && propertyExports.length) {
+    logger.warn('Unable to convert exports. Assign exports once at the root of the file, either with exports = ... ' +
+        'or with exports.name = ... for each export.');
+    return undefined;
+  }
+  const unresolved = [];
+
+  // replace goog.require variable declarations with imports. goog.requireType declarations are kept, as they are valid
+  // in an ES6 module with goog.declareModuleId and an import would add a load order dependency, possibly creating a
+  // cycle that goog.requireType is used to avoid.
+  root.find(jscs.VariableDeclaration, isGoogModuleRequire)
+      .filter(path => path.parent.value.type === 'Program')
+      .forEach(path => {
+        const namespace = path.value.declarations[0].init.arguments[0].value;
+        const provide = getProvide(index, namespace);
+        if (!provide) {
+          unresolved.push(namespace);
+          return;
+        }
+
+        const importDeclaration = createImportForRequire(path.value, provide, getImportPath(file.path, provide.file));
+        if (importDeclaration) {
+          importDeclaration.comments = path.value.comments;
+          jscs(path).replaceWith(importDeclaration);
+        } else {
+          logWithNode('warn', `Unable to convert require for ${namespace} to an import.`, path.value);
+        }
+      });
+
+  // replace legacy goog.require statements with side-effect imports
+  root.find(jscs.ExpressionStatement, isGoogRequire)
+      .filter(path => path.parent.value.type === 'Program')
+      .forEach(path => {
+        const namespace = path.value.expression.arguments[0].value;
+        const provide = getProvide(index, namespace);
+        if (provide) {
+          jscs(path).replaceWith(jscs.importDeclaration([], jscs.literal(getImportPath(file.path, provide.file))));
+        } else {
+          unresolved.push(namespace);
+        }
+      });
+
+  // replace the exports assignments with export statements
+  exportsAssignments.forEach(path => replaceExports(root, path, moduleName));
+  propertyExports.forEach(path => replacePropertyExport(root, path));
+
+  // move imports to the top of the file, followed by goog.declareModuleId so the module can be loaded by legacy code
+  // with goog.module.get. goog.module.declareLegacyNamespace is not supported in ES6 modules.
+  const body = program.body.filter(node => node !== googModule && !isGoogDeclareLegacyNamespace(node));
+  const declareModuleId = jscs.expressionStatement(createCall('goog.declareModuleId', [jscs.literal(moduleName)]));
+  program.body = body.filter(node => node.type === 'ImportDeclaration')
+      .concat([declareModuleId])
+      .concat(body.filter(node => node.type !== 'ImportDeclaration'));
+
+  // keep file-level comments at the top of the file
+  if (fileComments && fileComments.length) {
+    const first = program.body[0];
+    first.comments = fileComments.concat(first.comments || []);
+  }
+
+  if (unresolved.length) {
+    logger.warn(`Unable to resolve ${unresolved.length} required namespace(s) in the provides index: ` +
+        `${unresolved.join(', ')}`);
+  }
+
+  return printModuleSource(root);
+};
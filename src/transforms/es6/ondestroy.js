@@ -0,0 +1,291 @@
+/**
+ * @file Replaces `$scope.$on('$destroy', ...)` handlers in Angular controllers with the `$onDestroy` lifecycle hook.
+ */
+
+const jscs = require('jscodeshift');
+const {isPrivate} = require('../../utils/goog');
+const {printSource} = require('../../utils/jscs');
+const {logger, logWithNode} = require('../../utils/logger');
+
+/**
+ * Name of the Angular destroy lifecycle hook.
+ * @type {string}
+ */
+const ON_DESTROY = '$onDestroy';
+
+/**
+ * JSDoc for the `$onDestroy` method. The hook is called by Angular, so it must be exported.
+ * @type {string}
+ */
+const ON_DESTROY_COMMENT = '*\n * Angular $onDestroy lifecycle hook.\n * @export\n ';
+
+/**
+ * Get the constructor for a class.
+ * @param {Node} classDef The class node.
+ * @return {Node|undefined} The constructor method, or undefined if the class does not have one.
+ */
+const getConstructor = (classDef) => classDef.body.body.find(node => node.type === 'MethodDefinition' &&
+    node.kind === 'constructor');
+
+/**
+ * If a class is an Angular controller, with an `@ngInject` constructor or explicit `$inject`.
+ * @param {Collection} root The root collection for the file.
+ * @param {Node} classDef The class node.
+ * @return {boolean}
+ */
+const isController = (root, classDef) => {
+  const ctor = getConstructor(classDef);
+  if (!ctor) {
+    return false;
+  }
+
+  return (ctor.comments || []).some(comment => comment.value.includes('@ngInject')) ||
+      classDef.body.body.some(node => node.static && node.key.name === '$inject') ||
+      root.find(jscs.AssignmentExpression, {
+        left: {object: {name: classDef.id.name}, property: {name: '$inject'}}
+      }).length > 0;
+};
+
+/**
+ * Get references to an identifier in a node, ignoring property names.
+ * @param {Node} node The node to search.
+ * @param {string} name The identifier name.
+ * @return {Collection} The identifier references.
+ */
+const findReferences = (node, name) => jscs(node).find(jscs.Identifier, {name}).filter(path => {
+  const parent = path.parent.value;
+  return !(parent.type === 'MemberExpression' && parent.property === path.value && !parent.computed) &&
+      !(parent.type === 'Property' && parent.key === path.value && !parent.shorthand) &&
+      !(parent.type === 'MethodDefinition' && parent.key === path.value);
+});
+
+/**
+ * Get the names of the constructor parameters and variables declared at the root of the constructor. These are not
+ * available outside the constructor.
+ * @param {Node} ctor The constructor method.
+ * @return {!Array<string>} The names.
+ */
+const getConstructorLocals = (ctor) => {
+  const names = ctor.value.params.filter(param => param.type === 'Identifier').map(param => param.name);
+  ctor.value.body.body.forEach(node => {
+    if (node.type === 'VariableDeclaration') {
+      node.declarations.filter(decl => decl.id.type === 'Identifier').forEach(decl => names.push(decl.id.name));
+    } else if (node.type === 'FunctionDeclaration' && node.id) {
+      names.push(node.id.name);
+    }
+  });
+
+  return names;
+};
+
+/**
+ * Get the method a destroy handler calls, for handlers like `this.destroy_.bind(this)`.
+ * @param {Node} handler The handler expression.
+ * @return {?string} The method name, or null if the handler is not a bound method.
+ */
+const getBoundMethodName = (handler) => {
+  if (jscs.match(handler, {
+    callee: {type: 'MemberExpression', object: {type: 'MemberExpression', object: {type: 'ThisExpression'}},
+      property: {name: 'bind'}},
+    arguments: [{type: 'ThisExpression'}]
+  }) && !handler.callee.object.computed) {
+    return handler.callee.object.property.name;
+  }
+
+  return null;
+};
+
+/**
+ * Get the function body for an inline destroy handler, ie `() => {...}` or `function() {...}.bind(this)`.
+ * @param {Node} handler The handler expression.
+ * @param {Node} ctor The constructor method.
+ * @return {Node|undefined} The block statement, or undefined if the handler can't be inlined.
+ */
+const getInlineHandlerBody = (handler, ctor) => {
+  let fn = handler;
+  if (handler.type === 'CallExpression' && handler.arguments.length === 1 &&
+      handler.arguments[0].type === 'ThisExpression' && jscs.match(handler.callee, {property: {name: 'bind'}})) {
+    fn = handler.callee.object;
+  } else if (handler.type === 'FunctionExpression' && jscs(handler.body).find(jscs.ThisExpression).length) {
+    // this would refer to a different context
+    return undefined;
+  }
+
+  if ((fn.type === 'FunctionExpression' || fn.type === 'ArrowFunctionExpression') && !fn.params.length &&
+      !getConstructorLocals(ctor).some(name => findReferences(fn.body, name).length)) {
+    return fn.body.type === 'BlockStatement' ? fn.body :
+      jscs.blockStatement([jscs.expressionStatement(fn.body)]);
+  }
+
+  return undefined;
+};
+
+/**
+ * Remove a name from the explicit `$inject` array of a class, from `static get $inject()` or `<class>.$inject = [...]`.
+ * @param {Collection} root The root collection for the file.
+ * @param {Node} classDef The class node.
+ * @param {string} name The injected name.
+ */
+const removeInjectedName = (root, classDef, name) => {
+  const getter = classDef.body.body.find(node => node.static && node.key.name === '$inject');
+  const arrays = getter ? jscs(getter).find(jscs.ReturnStatement).nodes().map(node => node.argument) :
+    root.find(jscs.AssignmentExpression, {
+      left: {object: {name: classDef.id.name}, property: {name: '$inject'}}
+    }).nodes().map(node => node.right);
+
+  arrays.filter(node => node && node.type === 'ArrayExpression').forEach(node => {
+    node.elements = node.elements.filter(element => element.value !== name);
+  });
+};
+
+/**
+ * Remove a constructor parameter and its `@param` JSDoc.
+ * @param {Node} ctor The constructor method.
+ * @param {string} name The parameter name.
+ */
+const removeParam = (ctor, name) => {
+  ctor.value.params = ctor.value.params.filter(param => param.type !== 'Identifier' || param.name !== name);
+
+  const paramRegExp = new RegExp(`@param\\s+{[^}]*}\\s+${name.replace(/\$/g, '\\$')}\\b`);
+  (ctor.comments || []).forEach((comment, idx) => {
+    const lines = comment.value.split('\n');
+    const paramIdx = lines.findIndex(line => paramRegExp.test(line));
+    if (paramIdx > -1) {
+      // remove the tag and any continuation lines
+      let count = 1;
+      while (paramIdx + count < lines.length && /^\s*\*\s{2,}\S/.test(lines[paramIdx + count])) {
+        count++;
+      }
+
+      // strip the original indent, recast indents the new comment
+      lines.splice(paramIdx, count);
+      ctor.comments[idx] = jscs.commentBlock(lines.map(line => line.replace(/^\s+(\*|$)/, ' $1')).join('\n'),
+          comment.leading, comment.trailing);
+    }
+  });
+};
+
+/**
+ * Add a `$onDestroy` method to a class, after the constructor.
+ * @param {Node} classDef The class node.
+ * @param {Node} ctor The constructor method.
+ * @param {Node} body The method body.
+ */
+const addOnDestroy = (classDef, ctor, body) => {
+  const onDestroy = jscs.methodDefinition('method', jscs.identifier(ON_DESTROY), jscs.functionExpression(null, [], body));
+  onDestroy.comments = [jscs.commentBlock(ON_DESTROY_COMMENT)];
+  classDef.body.body.splice(classDef.body.body.indexOf(ctor) + 1, 0, onDestroy);
+};
+
+/**
+ * Export a private method renamed to `$onDestroy`, replacing `@private` with `@export` in its JSDoc.
+ * @param {Node} method The method.
+ */
+const exportMethod = (method) => {
+  method.comments = method.comments.map(comment => {
+    if (comment.type !== 'CommentBlock' || comment.value.indexOf('@private') === -1) {
+      return comment;
+    }
+
+    // strip the original indent, recast indents the new comment
+    const lines = comment.value.split('\n').map(line => line.replace(/^\s+(\*|$)/, ' $1'));
+    const value = lines.join('\n').replace('@private', '@export');
+    return jscs.commentBlock(value, comment.leading, comment.trailing);
+  });
+};
+
+/**
+ * Move the destroy handler registered in a controller constructor to a `$onDestroy` method.
+ * @param {Collection} root The root collection for the file.
+ * @param {Node} classDef The controller class.
+ * @return {boolean} If the class was changed.
+ */
+const convertController = (root, classDef) => {
+  const ctor = getConstructor(classDef);
+  const ctorBody = ctor.value.body.body;
+  const scopeParams = ctor.value.params.filter(param => param.type === 'Identifier').map(param => param.name);
+
+  // find $scope.$on('$destroy', handler) statements at the root of the constructor
+  const registration = ctorBody.find(node => node.type === 'ExpressionStatement' && jscs.match(node.expression, {
+    type: 'CallExpression',
+    callee: {type: 'MemberExpression', object: {type: 'Identifier'}, property: {name: '$on'}},
+    arguments: [{value: '$destroy'}]
+  }) && scopeParams.indexOf(node.expression.callee.object.name) > -1 && node.expression.arguments.length === 2);
+
+  if (!registration) {
+    return false;
+  }
+
+  const methods = classDef.body.body.filter(node => node.type === 'MethodDefinition');
+  if (methods.some(node => node.key.name === ON_DESTROY)) {
+    logWithNode('warn', `Unable to replace the $destroy handler, the controller already has ${ON_DESTROY}.`,
+        registration);
+    return false;
+  }
+
+  const handler = registration.expression.arguments[1];
+  const methodName = getBoundMethodName(handler);
+  const method = methodName && methods.find(node => node.key.name === methodName && !node.static);
+
+  if (method) {
+    const otherRefs = jscs(classDef).find(jscs.MemberExpression, {
+      object: {type: 'ThisExpression'},
+      property: {name: methodName}
+    }).filter(path => path.value !== handler.callee.object);
+
+    if (otherRefs.length || method.value.params.length || !isPrivate(method)) {
+      // the handler is used elsewhere or may be overridden, so call it from the hook
+      const call = jscs.callExpression(
+          jscs.memberExpression(jscs.thisExpression(), jscs.identifier(methodName)), []);
+      addOnDestroy(classDef, ctor, jscs.blockStatement([jscs.expressionStatement(call)]));
+    } else {
+      // rename the private handler, keeping its JSDoc
+      method.key = jscs.identifier(ON_DESTROY);
+      exportMethod(method);
+    }
+  } else {
+    const body = getInlineHandlerBody(handler, ctor);
+    if (!body) {
+      logWithNode('warn', 'Unable to replace the $destroy handler. Use a bound method, or a function without ' +
+          'parameters that does not reference constructor variables.', registration);
+      return false;
+    }
+
+    addOnDestroy(classDef, ctor, body);
+  }
+
+  // remove the registration, and the scope injection if it is no longer used
+  const scopeName = registration.expression.callee.object.name;
+  ctorBody.splice(ctorBody.indexOf(registration), 1);
+
+  if (!findReferences(ctor.value.body, scopeName).length) {
+    removeParam(ctor, scopeName);
+    removeInjectedName(root, classDef, scopeName);
+  }
+
+  return true;
+};
+
+/**
+ * Replace `$scope.$on('$destroy', ...)` handlers registered in the constructor of an Angular controller class with
+ * the `$onDestroy` lifecycle hook. Bound private methods like `this.destroy_.bind(this)` are renamed to `$onDestroy`
+ * and exported, other bound methods are called from `$onDestroy`, and inline functions become the body of
+ * `$onDestroy`. The `$scope` parameter is removed from the constructor, and any
+ * explicit `$inject`, if it is no longer used.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The updated source, or undefined if the file was not changed.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  let changed = false;
+  root.find(jscs.ClassDeclaration).filter(path => isController(root, path.value)).forEach(path => {
+    changed = convertController(root, path.value) || changed;
+  });
+
+  return changed ? printSource(root) : undefined;
+};
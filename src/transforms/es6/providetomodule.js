@@ -1,21 +1,91 @@
+const path = require('path');
 const jscs = require('jscodeshift');
-const {createFindMemberExprObject} = require('../../utils/ast');
+const {createFindCallFn, createFindMemberExprObject} = require('../../utils/ast');
 const {memberExpressionToString, printSource} = require('../../utils/jscs');
-const {convertGoogDefine, convertNamespaceExpression, convertClass, convertDirective, convertInterface, replaceProvidesWithModules, replaceUIModules} = require('../../utils/classes');
-const {addRequire, isClosureClass, isControllerClass, isDirective, isGoogDefine, isGoogRequire, isInterface, replaceLegacyRequire, sortModuleRequires} = require('../../utils/goog');
-const {createAssignmentShim, createUIShim} = require('../../utils/shim');
-const {logger} = require('../../utils/logger');
+const {CONTROLLER_NAME, DIRECTIVE_NAME, InjectStyle, convertGoogDefine, convertNamespaceExpression, convertClass, convertDirective, convertInterface, convertTypedef, replaceProvidesWithModules, replaceUIModules} = require('../../utils/classes');
+const {addRequire, addRequireType, isClosureClass, isControllerClass, isDirective, isGoogDefine, isGoogRequire,
+  isInterface, isLegacyRequire, isTypedef, replaceLegacyRequire, sortModuleRequires} = require('../../utils/goog');
+const {createAssignmentShim, createModuleShim, createUIShim, getModulesToSplit} = require('../../utils/shim');
+const {logger, logWithNode} = require('../../utils/logger');
+const {addMovedModule} = require('../../utils/manifest');
+const {addMissingRequires, getClassHierarchy, getIndexFromOptions} = require('../../utils/provides');
 const {resolveThis} = require('../../utils/resolvethis');
+const {unwrapScope} = require('../../utils/unwrapscope');
 
+/**
+ * Convert a `goog.provide` file to a `goog.module`.
+ *
+ * Options:
+ *  - providesIndex: Path to the JSON provides index, used to add missing requires and resolve calls to ancestor
+ *                   classes.
+ *  - movedManifest: Path to a manifest file. Modules moved to a new file, renamed or changed to a named export will
+ *                   be recorded here, so other files can be updated with the `es6/updatemovedmodules` transform. Not
+ *                   written on dry runs.
+ *  - split: Move extra classes, interfaces and directives in a file providing multiple modules to their own files.
+ *  - inject: Replace `@ngInject` with explicit Angular injection built from the parameter names, so modules work
+ *            without ngAnnotate. Use `static` for a `static get $inject()` on classes, or `assign` for
+ *            `Controller.$inject = [...]`. Directive functions are always assigned, and registered directly with
+ *            the registration helper so Angular reads `directive.$inject`.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The converted source, or undefined if the options are invalid.
+ */
 module.exports = (file, api, options) => {
   const root = jscs(file.source);
   logger.setCurrentFile(file.path);
 
+  const injectStyle = options.inject;
+  if (injectStyle && Object.values(InjectStyle).indexOf(injectStyle) === -1) {
+    logger.error(`Unsupported inject option '${injectStyle}'. Use one of: ${Object.values(InjectStyle).join(', ')}.`);
+    return undefined;
+  }
+
+  // directory for modules moved to a new file
+  const basePath = path.dirname(file.path);
+
+  const recordMove = (from, to, exportName, filePath) => {
+    if (options.movedManifest && !options.dry) {
+      addMovedModule(options.movedManifest, {from, to, exportName, file: filePath});
+    }
+  };
+
+  // unwrap goog.scope/IIFE blocks so statements are converted at the root level of the file
+  const unwrappedCount = unwrapScope(root);
+  if (unwrappedCount) {
+    logger.info(`Unwrapped ${unwrappedCount} goog.scope/IIFE block${unwrappedCount > 1 ? 's' : ''}.`);
+  }
+
+  // move extra classes, interfaces and directives to new files before converting the remaining modules
+  if (options.split) {
+    const provides = root.find(jscs.CallExpression, createFindCallFn('goog.provide')).nodes()
+        .map(node => node.arguments[0].value);
+
+    const convertSplitModule = (source, filePath) => {
+      const converted = module.exports({path: filePath, source}, api, options);
+      logger.setCurrentFile(file.path);
+      return converted;
+    };
+
+    getModulesToSplit(root, provides, file.path).forEach(moduleName => {
+      const newFilePath = createModuleShim(root, moduleName, provides, basePath, !options.dry, convertSplitModule);
+      if (newFilePath) {
+        recordMove(moduleName, moduleName, null, newFilePath);
+      }
+    });
+  }
+
+  // map classes to their parent, so calls to ancestor classes can be replaced with super
+  const index = getIndexFromOptions(options);
+  const hierarchy = getClassHierarchy(root, index);
+
   const modules = replaceProvidesWithModules(root);
   const movedModules = [];
   let moduleCount = modules.length;
 
   let directiveName;
+  let directiveTagExported = false;
   let controllerName;
 
   modules.forEach(moduleName => {
@@ -31,7 +101,7 @@ module.exports = (file, api, options) => {
           logger.warn(`Detected multiple directives. Combine or separate into new files.`);
         }
 
-        convertDirective(root, path, moduleName);
+        directiveTagExported = convertDirective(root, path, moduleName, injectStyle) || directiveTagExported;
       } else if (isClosureClass(path.parent.value)) {
         if (isControllerClass(path.parent.value)) {
           if (!controllerName) {
@@ -41,20 +111,37 @@ module.exports = (file, api, options) => {
           }
         }
 
-        convertClass(root, path, moduleName);
+        convertClass(root, path, moduleName, hierarchy, injectStyle);
       } else if (modules.length === 1) {
         // the only module in the file is a direct assignment, so assign it as the default export
         path.value.left = jscs.identifier('exports');
       } else if (modules.length > 1) {
         // this typically happens when the file has a class and some const/enum properties that are also provided. to
         // fix without breaking changes, move the extra provide to a new file.
-        const filePath = file.path.replace(/\/[^/]+$/, '');
-        createAssignmentShim(root, path, moduleName, filePath, !options.dry);
+        const newFilePath = createAssignmentShim(root, path, moduleName, basePath, !options.dry);
+        if (newFilePath) {
+          recordMove(moduleName, moduleName, null, newFilePath);
+        }
+
         movedModules.push(moduleName);
         moduleCount--;
       }
     });
 
+    // convert a module declared as a typedef
+    if (moduleName.indexOf('.') > -1) {
+      root.find(jscs.ExpressionStatement, {
+        expression: createFindMemberExprObject(moduleName)
+      }).filter(path => path.parent.value.type === 'Program' && isTypedef(path.value)).forEach(path => {
+        if (modules.length === 1) {
+          convertTypedef(root, path, moduleName);
+        } else {
+          logWithNode('warn', `Unable to convert typedef ${moduleName} in a file with multiple modules. Move it to ` +
+              `a new file.`, path.value);
+        }
+      });
+    }
+
     // create a filter to detect treating the module as a namespace
     const namespaceMemberExpr = {
       type: 'MemberExpression',
@@ -104,11 +191,16 @@ module.exports = (file, api, options) => {
   // create a shim for backward compatibility if a controller and directive are in the same file
   if (controllerName && directiveName) {
     moduleCount--;
-    replaceUIModules(root, controllerName, directiveName);
+    const uiModuleName = replaceUIModules(root, controllerName, directiveName);
+    recordMove(controllerName, uiModuleName, CONTROLLER_NAME, file.path);
+    recordMove(directiveName, uiModuleName, DIRECTIVE_NAME, file.path);
 
     if (!options.dry) {
       createUIShim(file.path, controllerName, directiveName);
     }
+  } else if (directiveName && directiveTagExported) {
+    // the directive is now a named export alongside the tag
+    recordMove(directiveName, directiveName, DIRECTIVE_NAME, file.path);
   }
 
   // use module require syntax for all modules that were moved to another file and referenced locally
@@ -119,30 +211,44 @@ module.exports = (file, api, options) => {
     }
   });
 
-  // convert goog.require statements
+  // add requires for indexed namespaces that are referenced but not required, so they are converted below
+  if (index) {
+    const addedRequires = addMissingRequires(root, index, modules);
+    if (addedRequires.length) {
+      logger.info(`Added ${addedRequires.length} missing require(s) from the provides index: ${addedRequires.join(', ')}`);
+    }
+  }
+
+  // convert goog.require/goog.requireType statements
   //
   // TODO: Replace statements in-place to avoid loss of whitespace
   //
-  const requireStatements = root.find(jscs.ExpressionStatement, isGoogRequire);
+  const requireStatements = root.find(jscs.ExpressionStatement, isLegacyRequire);
   const unusedRequires = [];
+  const unusedRequireTypes = [];
   requireStatements.paths().reverse();
   requireStatements.forEach(path => {
     if (path.parent.value.type === 'Program') {
+      const unused = isGoogRequire(path.value) ? unusedRequires : unusedRequireTypes;
       const unusedRequire = replaceLegacyRequire(root, path.value.expression.arguments[0].value, true);
       if (unusedRequire) {
-        unusedRequires.push(unusedRequire);
+        unused.push(unusedRequire);
       }
     }
   });
 
-  if (unusedRequires.length) {
+  if (unusedRequires.length || unusedRequireTypes.length) {
     // Add the legacy goog.require statement back. This may be a directive used by the template, implicit require,
     // etc that should be manually updated by a developer.
     unusedRequires.forEach((req) => {
       addRequire(root, req);
     });
+    unusedRequireTypes.forEach((req) => {
+      addRequireType(root, req);
+    });
 
-    logger.warn(`Found ${unusedRequires.length} legacy require statements that need verification.`);
+    logger.warn(`Found ${unusedRequires.length + unusedRequireTypes.length} legacy require statements that need ` +
+        'verification.');
   }
 
   if (moduleCount > 1) {
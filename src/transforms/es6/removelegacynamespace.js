@@ -0,0 +1,99 @@
+/**
+ * @file Removes `goog.module.declareLegacyNamespace` from modules that are no longer referenced as a global.
+ */
+
+const path = require('path');
+const jscs = require('jscodeshift');
+const {isGoogDeclareLegacyNamespace, isGoogModule} = require('../../utils/goog');
+const {printSource} = require('../../utils/jscs');
+const {logger} = require('../../utils/logger');
+const {loadProvidesIndex} = require('../../utils/provides');
+
+/**
+ * Get the indexed files that reference a namespace as a global.
+ * @param {Object} index The provides index.
+ * @param {string} moduleName The namespace.
+ * @param {string} filePath The file providing the namespace.
+ * @return {!Array<string>} The blocking files.
+ */
+const getBlockingFiles = (index, moduleName, filePath) => Object.keys(index.files).filter(file => {
+  const legacyRefs = index.files[file].legacyRefs || [];
+  return file !== filePath && legacyRefs.indexOf(moduleName) > -1;
+}).sort();
+
+/**
+ * Get the indexed child namespaces of a module that will remain global. Namespaces provided with `goog.provide` are
+ * always global, and `goog.module` namespaces keep their legacy namespace while other files reference them as a global.
+ * Closure requires the parent of a global namespace to also be global.
+ * @param {Object} index The provides index.
+ * @param {string} moduleName The namespace.
+ * @return {!Array<string>} The global child namespaces.
+ */
+const getGlobalChildren = (index, moduleName) => Object.keys(index.modules).filter(name => {
+  if (!name.startsWith(`${moduleName}.`)) {
+    return false;
+  }
+
+  const entry = index.modules[name];
+  if (entry.legacyNamespace == null) {
+    return true;
+  }
+
+  return entry.legacyNamespace && getBlockingFiles(index, name, entry.file).length > 0;
+}).sort();
+
+/**
+ * Remove `goog.module.declareLegacyNamespace` from a `goog.module` file once no other file in the project references
+ * the module as a global, with a legacy `goog.require`, a fully qualified name or a JSDoc type. Modules that are still
+ * referenced are reported with the files blocking them. Modules with child namespaces that remain global are also
+ * reported and left unchanged, as Closure requires the parent of a global namespace to be global.
+ *
+ * Options:
+ *  - providesIndex: Path to the JSON provides index, generated with `legacyRefs` for each file. Required.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The updated source, or undefined if the file was not changed.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  if (!options.providesIndex) {
+    logger.error('The providesIndex option is required to remove legacy namespaces.');
+    return undefined;
+  }
+
+  const index = loadProvidesIndex(options.providesIndex);
+  if (!index) {
+    return undefined;
+  }
+
+  const body = root.find(jscs.Program).get().value.body;
+  const googModule = body.find(isGoogModule);
+  const legacyNamespace = root.find(jscs.ExpressionStatement, isGoogDeclareLegacyNamespace);
+  if (!googModule || !legacyNamespace.length) {
+    return undefined;
+  }
+
+  const moduleName = googModule.expression.arguments[0].value;
+  const blockingFiles = getBlockingFiles(index, moduleName, path.resolve(file.path));
+  if (blockingFiles.length) {
+    const fileList = blockingFiles.map(f => path.relative(process.cwd(), f)).join('\n    ');
+    logger.warn(`${moduleName} is still referenced as a global by ${blockingFiles.length} file(s):\n    ${fileList}`);
+    return undefined;
+  }
+
+  const globalChildren = getGlobalChildren(index, moduleName);
+  if (globalChildren.length) {
+    logger.warn(`${moduleName} has ${globalChildren.length} child namespace(s) that are still global:\n    ` +
+        globalChildren.join('\n    '));
+    return undefined;
+  }
+
+  legacyNamespace.remove();
+  logger.info(`Removed legacy namespace for ${moduleName}.`);
+
+  return printSource(root);
+};
@@ -0,0 +1,253 @@
+/**
+ * @file Updates references to modules that were moved or renamed by `es6/providetomodule`.
+ */
+
+const jscs = require('jscodeshift');
+const {createFindMemberExprObject, createNamespaceRegExp, replaceNamespaceInComments} = require('../../utils/ast');
+const {addRequire, isGoogModuleRequire, isGoogModuleRequireType, isGoogRequire, sortRequires} = require('../../utils/goog');
+const {createMemberExpression} = require('../../utils/jscs');
+const {logger, logWithNode} = require('../../utils/logger');
+const {loadMovedModules} = require('../../utils/manifest');
+const {getDefaultSourceOptions} = require('../../utils/options');
+const {getFileProvides} = require('../../utils/provides');
+
+/**
+ * Get the namespace required by a `goog.require`/`goog.requireType` variable declaration.
+ * @param {Node} node The variable declaration.
+ * @return {string} The namespace.
+ */
+const getRequiredNamespace = (node) => node.declarations[0].init.arguments[0].value;
+
+/**
+ * Create a destructured `goog.require`/`goog.requireType` variable declaration.
+ *
+ * The declaration is parsed from source, because recast prints new object patterns on multiple lines.
+ *
+ * @param {Array<{key: string, value: string}>} properties The destructured properties.
+ * @param {string} callName The require function name (`require` or `requireType`).
+ * @param {string} namespace The required namespace.
+ * @return {Node} The variable declaration.
+ */
+const createDestructuredRequire = (properties, callName, namespace) => {
+  const pattern = properties.map(p => p.key === p.value ? p.key : `${p.key}: ${p.value}`).join(', ');
+  return jscs(`const {${pattern}} = goog.${callName}('${namespace}');`).find(jscs.VariableDeclaration).get().value;
+};
+
+/**
+ * Update legacy `goog.require` statements for a moved module.
+ * @param {Collection} root The root collection.
+ * @param {Object} entry The manifest entry.
+ * @return {boolean} If the file was changed.
+ */
+const updateLegacyRequires = (root, entry) => {
+  const findRequire = namespace => root.find(jscs.ExpressionStatement, {
+    expression: {
+      callee: createFindMemberExprObject('goog.require'),
+      arguments: [{value: namespace}]
+    }
+  }).filter(path => isGoogRequire(path.value));
+
+  const oldRequires = findRequire(entry.from);
+  if (!oldRequires.length || entry.to === entry.from) {
+    return false;
+  }
+
+  if (findRequire(entry.to).length) {
+    // the new module is already required
+    oldRequires.remove();
+  } else {
+    oldRequires.forEach(path => {
+      path.value.expression.arguments[0] = jscs.literal(entry.to);
+    });
+  }
+
+  sortRequires(root);
+
+  return true;
+};
+
+/**
+ * Add a `goog.require` for a module that was moved to a new file without being renamed. Files referencing it by its
+ * fully qualified name may have relied on the original file to load it.
+ * @param {Collection} root The root collection.
+ * @param {Object} entry The manifest entry.
+ * @return {boolean} If the file was changed.
+ */
+const addMovedRequire = (root, entry) => {
+  if (entry.to !== entry.from || entry.exportName) {
+    return false;
+  }
+
+  const isRequired = root.find(jscs.CallExpression, {arguments: [{value: entry.from}]}).some(path =>
+    jscs.match(path.value.callee, createFindMemberExprObject('goog.require')) ||
+        jscs.match(path.value.callee, createFindMemberExprObject('goog.requireType')));
+  if (isRequired) {
+    return false;
+  }
+
+  const references = root.find(jscs.MemberExpression, createFindMemberExprObject(entry.from));
+  if (references.length) {
+    addRequire(root, entry.from);
+    return true;
+  }
+
+  // references through a module alias, ie `MyClass.CONST` from `const MyClass = goog.require('os.ns.MyClass')`
+  root.find(jscs.VariableDeclaration, node => isGoogModuleRequire(node) || isGoogModuleRequireType(node))
+      .filter(path => path.value.declarations[0].id.type === 'Identifier' &&
+          entry.from.indexOf(`${getRequiredNamespace(path.value)}.`) === 0)
+      .forEach(path => {
+        const alias = path.value.declarations[0].id.name;
+        const aliasPath = entry.from.replace(getRequiredNamespace(path.value), alias);
+        if (root.find(jscs.MemberExpression, createFindMemberExprObject(aliasPath)).length) {
+          logWithNode('warn', `${aliasPath} moved to a new file. Require ${entry.from} to use it.`, path.value);
+        }
+      });
+
+  return false;
+};
+
+/**
+ * Update `goog.require`/`goog.requireType` variable declarations for a moved module.
+ * @param {Collection} root The root collection.
+ * @param {Object} entry The manifest entry.
+ * @return {boolean} If the file was changed.
+ */
+const updateModuleRequires = (root, entry) => {
+  let changed = false;
+
+  root.find(jscs.VariableDeclaration, node => isGoogModuleRequire(node) || isGoogModuleRequireType(node))
+      .filter(path => getRequiredNamespace(path.value) === entry.from)
+      .forEach(path => {
+        const declarator = path.value.declarations[0];
+        const call = declarator.init;
+
+        if (!entry.exportName) {
+          // renamed without changing the export, update the namespace
+          call.arguments[0] = jscs.literal(entry.to);
+          changed = true;
+          return;
+        }
+
+        if (declarator.id.type !== 'Identifier') {
+          logWithNode('warn', `Unable to update destructured require for ${entry.from}. Update it to use the ` +
+              `${entry.exportName} export from ${entry.to}.`, path.value);
+          return;
+        }
+
+        const property = {key: entry.exportName, value: declarator.id.name};
+        const callName = call.callee.property.name;
+
+        // add to an existing destructured require for the new module if there is one
+        const existing = root.find(jscs.VariableDeclaration, node => node !== path.value &&
+            (isGoogModuleRequire(node) || isGoogModuleRequireType(node)) &&
+            getRequiredNamespace(node) === entry.to &&
+            node.declarations[0].init.callee.property.name === callName);
+
+        if (existing.length && existing.get().value.declarations[0].id.type === 'ObjectPattern') {
+          const existingPath = existing.get();
+          const properties = existingPath.value.declarations[0].id.properties.map(p => ({
+            key: p.key.name,
+            value: p.value.name
+          }));
+
+          const declaration = createDestructuredRequire(properties.concat([property]), callName, entry.to);
+          declaration.comments = existingPath.value.comments;
+          jscs(existingPath).replaceWith(declaration);
+          jscs(path).remove();
+        } else {
+          if (existing.length) {
+            logWithNode('warn', `Found an existing require for ${entry.to}. Combine the requires manually.`,
+                path.value);
+          }
+
+          const declaration = createDestructuredRequire([property], callName, entry.to);
+          declaration.comments = path.value.comments;
+          jscs(path).replaceWith(declaration);
+        }
+
+        changed = true;
+      });
+
+  return changed;
+};
+
+/**
+ * Update fully qualified references to a moved module in code and comments.
+ * @param {Collection} root The root collection.
+ * @param {Object} entry The manifest entry.
+ * @return {boolean} If the file was changed.
+ */
+const updateReferences = (root, entry) => {
+  const newName = entry.exportName ? `${entry.to}.${entry.exportName}` : entry.to;
+  if (newName === entry.from) {
+    return false;
+  }
+
+  // a module exporting under a new name from the same namespace is referenced through the export, skip references
+  // that were already updated
+  const references = root.find(jscs.MemberExpression, createFindMemberExprObject(entry.from))
+      .filter(path => !path.value.computed)
+      .filter(path => entry.to !== entry.from || !jscs.match(path.parent.value, {
+        type: 'MemberExpression',
+        object: path.value,
+        property: {name: entry.exportName}
+      }));
+  references.forEach(path => jscs(path).replaceWith(createMemberExpression(newName)));
+
+  const commentPattern = createNamespaceRegExp(entry.from);
+  const hasComments = root.find(jscs.Comment).some(path => path.value.value.search(commentPattern) > -1);
+  replaceNamespaceInComments(root, entry.from, newName);
+
+  return references.length > 0 || hasComments;
+};
+
+/**
+ * Update `goog.require` statements and fully qualified references to modules that were moved or renamed by
+ * `es6/providetomodule`. Modules moved to a new file under the same name are required by files referencing them.
+ * Run against all other files in a project, and any plugin projects.
+ *
+ * Options:
+ *  - movedManifest: Path to the manifest written by `es6/providetomodule`. Required.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The updated source, or undefined if the file was not changed.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  if (!options.movedManifest) {
+    logger.error('The movedManifest option is required to update moved modules.');
+    return undefined;
+  }
+
+  const manifest = loadMovedModules(options.movedManifest);
+  if (!manifest) {
+    return undefined;
+  }
+
+  const provides = getFileProvides(root).provides;
+
+  let changed = false;
+  Object.keys(manifest).forEach(from => {
+    const entry = manifest[from];
+
+    // skip the file providing the moved module, and backward compatibility shims for the old namespace
+    if (provides.indexOf(entry.from) > -1 || provides.indexOf(entry.to) > -1) {
+      return;
+    }
+
+    // evaluate all updates, don't short circuit
+    const requiresChanged = updateLegacyRequires(root, entry);
+    const requireAdded = addMovedRequire(root, entry);
+    const moduleRequiresChanged = updateModuleRequires(root, entry);
+    const referencesChanged = updateReferences(root, entry);
+    changed = changed || requiresChanged || requireAdded || moduleRequiresChanged || referencesChanged;
+  });
+
+  // remove blank lines recast adds around new goog.require statements
+  return changed ? root.toSource(getDefaultSourceOptions())
+      .replace(/^(goog\.require\('[^']+'\);)\n{2,}(?=goog\.require\()/gm, '$1\n') : undefined;
+};
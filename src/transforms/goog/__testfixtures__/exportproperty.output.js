@@ -75,4 +75,7 @@ test.Object.prototype.fn4 = function(param1, opt_param2) {
 test.Object.prototype.fn5 = function(param1, opt_param2) {
 
 };
-test.Object.prototype['notFn5'] = test.Object.prototype.fn5;
+/**
+ * @export
+ */
+test.Object.prototype.notFn5 = test.Object.prototype.fn5;
@@ -0,0 +1,55 @@
+/**
+ * @file Test code for replacing `goog.exportSymbol` and static `goog.exportProperty` with `@export`.
+ */
+goog.provide('test.Exports');
+
+
+/**
+ * A class with exported statics.
+ * @constructor
+ */
+test.Exports = function() {};
+
+
+/**
+ * Exported static function.
+ * @param {string} value The value.
+ */
+test.Exports.staticFn = function(value) {};
+goog.exportProperty(test.Exports, 'staticFn', test.Exports.staticFn);
+
+
+/**
+ * Exported private static function.
+ * @private
+ */
+test.Exports.privateFn_ = function() {};
+goog.exportProperty(test.Exports, 'privateFn', test.Exports.privateFn_);
+
+
+/**
+ * Call the private function.
+ */
+test.Exports.callPrivate = function() {
+  test.Exports.privateFn_();
+};
+
+
+/**
+ * Exported to a different static name.
+ */
+test.Exports.fn = function() {};
+goog.exportProperty(test.Exports, 'otherFn', test.Exports.fn);
+
+
+/**
+ * Exported with goog.exportSymbol.
+ * @param {string} value The value.
+ * @return {string}
+ */
+test.Exports.format = function(value) {
+  return value;
+};
+goog.exportSymbol('test.Exports.format', test.Exports.format);
+goog.exportSymbol('test.Exports.legacyFormat', test.Exports.format);
+goog.exportSymbol('other.format', test.Exports.format);
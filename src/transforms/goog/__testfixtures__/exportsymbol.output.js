@@ -0,0 +1,60 @@
+/**
+ * @file Test code for replacing `goog.exportSymbol` and static `goog.exportProperty` with `@export`.
+ */
+goog.provide('test.Exports');
+
+
+/**
+ * A class with exported statics.
+ * @constructor
+ */
+test.Exports = function() {};
+
+
+/**
+ * Exported static function.
+ * @param {string} value The value.
+ * @export
+ */
+test.Exports.staticFn = function(value) {};
+
+
+/**
+ * Exported private static function.
+ * @export
+ */
+test.Exports.privateFn = function() {};
+
+
+/**
+ * Call the private function.
+ */
+test.Exports.callPrivate = function() {
+  test.Exports.privateFn();
+};
+
+
+/**
+ * Exported to a different static name.
+ */
+test.Exports.fn = function() {};
+/**
+ * @export
+ */
+test.Exports.otherFn = test.Exports.fn;
+
+
+/**
+ * Exported with goog.exportSymbol.
+ * @param {string} value The value.
+ * @return {string}
+ * @export
+ */
+test.Exports.format = function(value) {
+  return value;
+};
+/**
+ * @export
+ */
+test.Exports.legacyFormat = test.Exports.format;
+goog.exportSymbol('other.format', test.Exports.format);
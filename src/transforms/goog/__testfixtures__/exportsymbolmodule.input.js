@@ -0,0 +1,24 @@
+/**
+ * @file Test code for replacing `goog.exportSymbol` with module exports.
+ */
+goog.module('test.exports');
+
+
+/**
+ * Format a value.
+ * @param {string} value The value.
+ * @return {string}
+ */
+const format = (value) => value;
+goog.exportSymbol('test.exports.format', format);
+goog.exportSymbol('test.exports.legacyFormat', format);
+
+
+/**
+ * Parse a value.
+ * @param {string} value The value.
+ * @return {number}
+ */
+const parse = (value) => Number(value);
+
+exports = {parse};
@@ -0,0 +1,26 @@
+/**
+ * @file Test code for replacing `goog.exportSymbol` with module exports.
+ */
+goog.module('test.exports');
+
+
+/**
+ * Format a value.
+ * @param {string} value The value.
+ * @return {string}
+ */
+const format = (value) => value;
+
+
+/**
+ * Parse a value.
+ * @param {string} value The value.
+ * @return {number}
+ */
+const parse = (value) => Number(value);
+
+exports = {
+  parse,
+  format,
+  legacyFormat: format
+};
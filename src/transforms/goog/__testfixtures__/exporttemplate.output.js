@@ -0,0 +1,55 @@
+/**
+ * @file Test code for updating templates when exported controller methods are renamed.
+ */
+goog.provide('test.ExportTemplateCtrl');
+goog.provide('test.exportTemplateDirective');
+
+
+/**
+ * The directive.
+ * @return {angular.Directive}
+ */
+test.exportTemplateDirective = function() {
+  return {
+    restrict: 'E',
+    templateUrl: os.ROOT + 'views/exporttemplate.html',
+    controller: test.ExportTemplateCtrl,
+    controllerAs: 'ctrl'
+  };
+};
+
+
+/**
+ * The controller.
+ * @constructor
+ * @ngInject
+ */
+test.ExportTemplateCtrl = function() {
+  /**
+   * @type {string}
+   */
+  this.label = 'Label';
+};
+
+
+/**
+ * Save the thing.
+ * @export
+ */
+test.ExportTemplateCtrl.prototype.save = function() {};
+
+
+/**
+ * Cancel the thing.
+ * @export
+ */
+test.ExportTemplateCtrl.prototype.cancel = function() {};
+
+
+/**
+ * If the thing is valid. Not exported.
+ * @return {boolean}
+ */
+test.ExportTemplateCtrl.prototype.isValid = function() {
+  return true;
+};
@@ -0,0 +1,20 @@
+goog.provide('os.ns.arrayinsertat');
+
+goog.require('goog.array');
+
+
+/**
+ * Add values to the list.
+ * @param {Array<string>} list The list.
+ * @param {number} index The index.
+ */
+os.ns.arrayinsertat.add = function(list, index) {
+  // insert at an index
+  goog.array.insertAt(list, 'value', index);
+
+  // insert at the start
+  goog.array.insertAt(list, 'first');
+
+  // keep the require
+  goog.array.removeDuplicates(list);
+};
@@ -0,0 +1,20 @@
+goog.provide('os.ns.arrayinsertat');
+
+goog.require('goog.array');
+
+
+/**
+ * Add values to the list.
+ * @param {Array<string>} list The list.
+ * @param {number} index The index.
+ */
+os.ns.arrayinsertat.add = function(list, index) {
+  // insert at an index
+  list.splice(index, 0, 'value');
+
+  // insert at the start
+  list.splice(0, 0, 'first');
+
+  // keep the require
+  goog.array.removeDuplicates(list);
+};
@@ -0,0 +1,25 @@
+goog.provide('os.ns.arraysome');
+
+goog.require('goog.array');
+
+
+/**
+ * If any value is selected.
+ * @param {Array<Object>} values The values.
+ * @return {boolean}
+ */
+os.ns.arraysome.isSelected = function(values) {
+  return goog.array.some(values, function(value) {
+    return value.selected;
+  });
+};
+
+
+/**
+ * If any value matches the filter.
+ * @param {Array<Object>} values The values.
+ * @return {boolean}
+ */
+os.ns.arraysome.matches = function(values) {
+  return goog.array.some(this.getValues() || values, this.filter, this);
+};
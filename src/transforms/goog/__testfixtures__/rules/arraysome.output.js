@@ -0,0 +1,23 @@
+goog.provide('os.ns.arraysome');
+
+
+/**
+ * If any value is selected.
+ * @param {Array<Object>} values The values.
+ * @return {boolean}
+ */
+os.ns.arraysome.isSelected = function(values) {
+  return values.some(function(value) {
+    return value.selected;
+  });
+};
+
+
+/**
+ * If any value matches the filter.
+ * @param {Array<Object>} values The values.
+ * @return {boolean}
+ */
+os.ns.arraysome.matches = function(values) {
+  return (this.getValues() || values).some(this.filter, this);
+};
@@ -0,0 +1,14 @@
+goog.provide('os.ns.classlistenable');
+
+goog.require('goog.dom.classlist');
+
+
+/**
+ * Update the element state.
+ * @param {Element} element The element.
+ * @param {boolean} active If the element is active.
+ */
+os.ns.classlistenable.update = function(element, active) {
+  goog.dom.classlist.enable(element, 'active', active);
+  goog.dom.classlist.enable(element.firstElementChild, 'inactive', !active);
+};
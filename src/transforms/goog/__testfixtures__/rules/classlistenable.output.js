@@ -0,0 +1,12 @@
+goog.provide('os.ns.classlistenable');
+
+
+/**
+ * Update the element state.
+ * @param {Element} element The element.
+ * @param {boolean} active If the element is active.
+ */
+os.ns.classlistenable.update = function(element, active) {
+  element.classList.toggle('active', active);
+  element.firstElementChild.classList.toggle('inactive', !active);
+};
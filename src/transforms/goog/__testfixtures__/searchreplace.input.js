@@ -0,0 +1,39 @@
+goog.provide('os.ns.SearchReplace');
+
+goog.require('goog.events.EventType');
+goog.require('goog.functions');
+goog.require('goog.string');
+goog.require('os.ns.Other');
+
+
+/**
+ * Get a padded timestamp.
+ * @return {string}
+ */
+os.ns.SearchReplace.getTimestamp = function() {
+  return goog.string.padNumber(goog.now(), 16);
+};
+
+
+/**
+ * Get a trimmed id.
+ * @param {Object} obj The object.
+ * @return {string}
+ */
+os.ns.SearchReplace.getTrimmedId = function(obj) {
+  return goog.string.trim(String(goog.getUid(obj)));
+};
+
+
+/**
+ * Listen for property changes.
+ * @param {ol.Object} obj The object.
+ * @param {Array|string} value The value.
+ */
+os.ns.SearchReplace.listen = function(obj, value) {
+  obj.on(goog.events.EventType.PROPERTYCHANGE, goog.nullFunction);
+
+  if (goog.isArray(value)) {
+    os.ns.Other.filter(value, goog.functions.TRUE);
+  }
+};
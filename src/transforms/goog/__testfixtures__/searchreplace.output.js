@@ -0,0 +1,41 @@
+goog.provide('os.ns.SearchReplace');
+
+goog.require('goog.string');
+goog.require('ol');
+goog.require('ol.ObjectEventType');
+goog.require('ol.functions');
+goog.require('ol.string');
+goog.require('os.ns.Other');
+
+
+/**
+ * Get a padded timestamp.
+ * @return {string}
+ */
+os.ns.SearchReplace.getTimestamp = function() {
+  return ol.string.padNumber(Date.now(), 16);
+};
+
+
+/**
+ * Get a trimmed id.
+ * @param {Object} obj The object.
+ * @return {string}
+ */
+os.ns.SearchReplace.getTrimmedId = function(obj) {
+  return goog.string.trim(String(ol.getUid(obj)));
+};
+
+
+/**
+ * Listen for property changes.
+ * @param {ol.Object} obj The object.
+ * @param {Array|string} value The value.
+ */
+os.ns.SearchReplace.listen = function(obj, value) {
+  obj.on(ol.ObjectEventType.PROPERTYCHANGE, ol.nullFunction);
+
+  if (Array.isArray(value)) {
+    os.ns.Other.filter(value, ol.functions.TRUE);
+  }
+};
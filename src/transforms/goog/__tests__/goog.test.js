@@ -1,12 +1,70 @@
+/* eslint-env jest */
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const {applyTransform, defineTest} = require('jscodeshift/dist/testUtils');
+const {logger} = require('../../../utils/logger');
+const options = require('../../../utils/options').getDefaultTestOptions();
+
+const templateOptions = Object.assign({
+  templateRoot: path.join(__dirname, '..', '__testfixtures__')
+}, options);
 
 defineTest(__dirname, 'bind', {});
 defineTest(__dirname, 'exportproperty', {});
+defineTest(__dirname, 'exportproperty', {}, 'exportsymbol');
+defineTest(__dirname, 'exportproperty', {}, 'exportsymbolmodule');
+defineTest(__dirname, 'exportproperty', templateOptions, 'exporttemplate');
 defineTest(__dirname, 'isboolean', {});
 defineTest(__dirname, 'isdef', {});
 defineTest(__dirname, 'isdefandnotnull', {});
 defineTest(__dirname, 'isnull', {});
 defineTest(__dirname, 'isnumber', {});
 defineTest(__dirname, 'isstring', {});
+defineTest(__dirname, 'searchreplace', {});
+
+describe('exportproperty templates', () => {
+  const fixturesDir = path.join(__dirname, '..', '__testfixtures__');
+  const inputPath = path.join(fixturesDir, 'exporttemplate.input.js');
+  let templateRoot;
+  let templatePath;
+
+  beforeEach(() => {
+    // copy the template to a temp directory, so it can be written
+    templateRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'exporttemplate-'));
+    templatePath = path.join(templateRoot, 'views', 'exporttemplate.html');
+    fs.mkdirSync(path.dirname(templatePath));
+    fs.copyFileSync(path.join(fixturesDir, 'views', 'exporttemplate.html'), templatePath);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rimraf.sync(templateRoot);
+  });
+
+  it('renames exported methods and reports unexported methods in templates', () => {
+    const info = jest.spyOn(logger, 'info');
+    const warn = jest.spyOn(logger, 'warn');
+
+    const transform = require('../exportproperty');
+    applyTransform(transform, {templateRoot}, {path: inputPath, source: fs.readFileSync(inputPath, 'utf8')});
+
+    expect(fs.readFileSync(templatePath, 'utf8')).toEqual([
+      '<div class="js-export-template">',
+      '  <button ng-click="ctrl.save()">Save</button>',
+      '  <button ng-click="ctrl.cancel()">Cancel</button>',
+      '  <span ng-if="ctrl.isValid()">{{ctrl.label}}</span>',
+      '</div>',
+      ''
+    ].join('\n'));
+
+    expect(info).toHaveBeenCalledWith(
+        'Replaced 1 reference(s) to ctrl.save_ with ctrl.save in views/exporttemplate.html.');
+    expect(warn).toHaveBeenCalledWith('Controller method isValid is used in views/exporttemplate.html without ' +
+        '@export, and will be renamed by the compiler.');
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
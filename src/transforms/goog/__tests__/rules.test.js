@@ -0,0 +1,17 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const options = require('../../../utils/options').getDefaultTestOptions();
+const {loadRules} = require('../../../utils/rules');
+
+// test each rule with a fixture in __testfixtures__/rules
+const rulesDir = path.join(__dirname, '..', 'rules');
+fs.readdirSync(rulesDir).forEach(file => {
+  const rulesPath = path.join(rulesDir, file);
+  loadRules(rulesPath).filter(rule => rule.fixture).forEach(rule => {
+    const ruleOptions = Object.assign({rules: rulesPath, rule: rule.replace}, options);
+    defineTest(__dirname, 'rules', ruleOptions, `rules/${rule.fixture}`);
+  });
+});
@@ -1,6 +1,5 @@
 goog.provide('os.array.find');
 
-goog.require('goog.array');
 goog.require('ol.array');
 goog.require('os.array');
 
@@ -1,6 +1,5 @@
 goog.provide('os.test');
 
-goog.require('goog.array');
 goog.require('ol.array');
 goog.require('os.array');
 
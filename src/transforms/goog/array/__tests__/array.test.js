@@ -1,6 +1,20 @@
 'use strict';
 
+const path = require('path');
 const defineTest = require('jscodeshift/dist/testUtils').defineTest;
 
+const indexOptions = {
+  providesIndex: path.join(__dirname, '..', '__testfixtures__', 'array.index.json')
+};
+
+// index covering the ol library, without ol.array
+const olIndexOptions = {
+  providesIndex: path.join(__dirname, '..', '__testfixtures__', 'array.ol.index.json')
+};
+
 defineTest(__dirname, 'ol', {});
+defineTest(__dirname, 'ol', indexOptions, 'ol');
+defineTest(__dirname, 'ol', olIndexOptions, 'olnotindexed');
+defineTest(__dirname, 'ol', Object.assign({external: 'ol.array'}, olIndexOptions), 'ol');
 defineTest(__dirname, 'os', {});
+defineTest(__dirname, 'os', indexOptions, 'os');
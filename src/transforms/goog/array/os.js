@@ -2,32 +2,15 @@
  * @file Replaces `goog.array` calls with equivalent `os.array` calls.
  */
 
-const jscs = require('jscodeshift');
-const jscsUtil = require('../../../utils/jscs');
-const {getDefaultSourceOptions} = require('../../../utils/options');
+const path = require('path');
+const rules = require('../rules');
 
 /**
- * Replace `goog.array.forEach` with `Array#forEach`.
+ * Replace `goog.array` calls with equivalent `os.array` calls, using the rules in `goog/rules/array.os.yaml`.
  * @param {File} file The file being processed.
  * @param {Object} api The jscodeshift API.
  * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The converted source.
  */
-module.exports = (file, api, options) => {
-  const root = jscs(file.source);
-
-  jscsUtil.replaceFunction(root, {
-    replace: 'goog.array.forEach',
-    with: 'os.array.forEach',
-    requiredArgs: 2,
-    googRequire: 'os.array'
-  });
-
-  jscsUtil.replaceFunction(root, {
-    replace: 'goog.array.clear',
-    with: 'os.array.clear',
-    requiredArgs: 1,
-    googRequire: 'os.array'
-  });
-
-  return root.toSource(getDefaultSourceOptions());
-};
+module.exports = (file, api, options) =>
+  rules(file, api, Object.assign({}, options, {rules: path.join(__dirname, '..', 'rules', 'array.os.yaml')}));
@@ -4,6 +4,7 @@
 
 const jscs = require('jscodeshift');
 const get = require('get-value');
+const {getUnusedRequires, removeUnusedRequires} = require('../../utils/goog');
 const {getDefaultSourceOptions} = require('../../utils/options');
 
 /**
@@ -28,6 +29,7 @@ const isGoogBind = node => {
  */
 module.exports = (file, api, options) => {
   const root = jscs(file.source);
+  const unusedRequires = getUnusedRequires(root);
 
   root.find(jscs.CallExpression, isGoogBind).forEach(path => {
     const args = path.value.arguments;
@@ -51,5 +53,7 @@ module.exports = (file, api, options) => {
     }
   });
 
+  removeUnusedRequires(root, unusedRequires);
+
   return root.toSource(getDefaultSourceOptions());
 };
@@ -1,10 +1,17 @@
 /**
- * @file Replaces `goog.exportProperty` calls with `@export` if possible, falling back to an assignment
- *               expression.
+ * @file Replaces `goog.exportProperty` and `goog.exportSymbol` calls with `@export` or module exports if possible,
+ *               falling back to an assignment expression.
  */
 
+const path = require('path');
 const jscs = require('jscodeshift');
 const get = require('get-value');
+const {isCall} = require('../../utils/ast');
+const {addExports, getUnusedRequires, isGoogModule, isGoogProvide, removeUnusedRequires} = require('../../utils/goog');
+const {memberExpressionToString} = require('../../utils/jscs');
+const {logger, logWithNode} = require('../../utils/logger');
+const {getDefaultSourceOptions} = require('../../utils/options');
+const {getControllerAlias, getTemplateMembers, getTemplatePaths, renameTemplateMember} = require('../../utils/templates');
 
 /**
  * Regular expression to remove placeholder comment for removed statements.
@@ -34,90 +41,320 @@ const isGEPCall = node => {
 };
 
 /**
- * If a node is a `goog.exportProperty` call that can be replaced by `@export`.
+ * If a node is a `goog.exportSymbol` call exporting a value to a public path.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const isGESCall = node => {
+  return isCall(node, 'goog.exportSymbol') && node.arguments.length === 2 &&
+      typeof get(node, 'arguments.0.value') === 'string';
+};
+
+/**
+ * If a node is a `goog.exportProperty` call on a class prototype or a class that can be replaced by `@export`.
  * @param {Node} node The node.
  * @return {boolean}
  */
 const isExportableCall = node => {
-  if (isGEPCall(node) && get(node, 'arguments.0.property.name') === 'prototype') {
+  if (isGEPCall(node) && get(node, 'arguments.2.type') === 'MemberExpression' && !node.arguments[2].computed) {
+    const owner = node.arguments[0];
     const exportName = get(node.arguments[1].value);
     const fnName = get(node.arguments[2].property.name);
-    return exportName && fnName && (exportName == fnName || `${exportName}_` == fnName);
+    return (owner.type === 'MemberExpression' || owner.type === 'Identifier') &&
+        memberExpressionToString(owner) === memberExpressionToString(node.arguments[2].object) &&
+        exportName && fnName && (exportName == fnName || `${exportName}_` == fnName);
   }
 
   return false;
 };
 
+/**
+ * Find the statement at the root of the program assigning a documented value to a fully qualified name.
+ * @param {Node} root The root node.
+ * @param {string} name The fully qualified name.
+ * @return {Node|undefined} The assignment statement, or undefined if not found.
+ */
+const findDefinition = (root, name) => {
+  const programBody = root.find(jscs.Program).get().value.body;
+  return programBody.find(node => node.type === 'ExpressionStatement' &&
+      node.expression.type === 'AssignmentExpression' && node.expression.left.type === 'MemberExpression' &&
+      memberExpressionToString(node.expression.left) === name && get(node, 'comments.length') > 0 &&
+      node.comments[node.comments.length - 1].type === 'CommentBlock');
+};
+
 /**
  * Strip the trailing underscore from a private function name.
  * @param {Node} root The root node.
  * @param {string} name The function name.
+ * @param {string} owner The fully qualified name of the object owning the function.
  * @return {string} The new functio name;
  */
-const renamePrivateFn = (root, name) => {
+const renamePrivateFn = (root, name, owner) => {
   const newName = name.replace(/_$/, '');
 
   if (newName !== name) {
-    root.find(jscs.MemberExpression, {
-      object: {type: 'ThisExpression'},
-      property: {name: name}
-    }).forEach(path => path.value.property.name = newName);
+    if (owner.endsWith('.prototype')) {
+      root.find(jscs.MemberExpression, {
+        object: {type: 'ThisExpression'},
+        property: {name: name}
+      }).forEach(path => path.value.property.name = newName);
+    }
+
+    root.find(jscs.MemberExpression, {property: {name: name}})
+        .filter(path => !path.value.computed && memberExpressionToString(path.value.object) === owner)
+        .forEach(path => path.value.property.name = newName);
   }
 
   return newName;
 };
 
 /**
- * Replace a CallExpression with a BinaryExpression.
+ * Add `@export` to the JSDoc for a definition. Protected and private annotations are removed, and private names are
+ * made public.
+ * @param {Node} root The root node.
+ * @param {Node} definition The definition statement.
+ * @return {?{from: string, to: string, owner: string}} The renamed function, or null if it was not renamed.
+ */
+const addExportAnnotation = (root, definition) => {
+  let renamed = null;
+
+  // remove the old comment before updating
+  let newComment = definition.comments.pop().value;
+
+  // add @export to comment block unless already present
+  if (!newComment.includes('@export')) {
+    newComment = newComment.replace(/\s+$/, '\n * @export\n ');
+  }
+
+  // remove @protected annotation
+  newComment = newComment.replace('\n * @protected', '');
+
+  // if the function is marked as private, make it public
+  if (newComment.includes('@private')) {
+    const left = definition.expression.left;
+    const owner = memberExpressionToString(left.object);
+    const from = left.property.name;
+    left.property.name = renamePrivateFn(root, from, owner);
+    newComment = newComment.replace('\n * @private', '');
+
+    if (left.property.name !== from) {
+      renamed = {from, to: left.property.name, owner};
+    }
+  }
+
+  // add the updated comment
+  definition.comments.push(jscs.commentBlock(newComment));
+
+  return renamed;
+};
+
+/**
+ * Remove an export call.
+ * @param {NodePath} path The call expression path.
+ */
+const removeCall = path => {
+  // WORKAROUND: A recast bug may cause this to drop all blank lines after the statement. As a workaround,
+  // replace the statement with a comment block and remove it later.
+  jscs(path).replaceWith(jscs.commentBlock('JSCS-REMOVE'));
+};
+
+/**
+ * Create an exported alias for a value, ie `os.ns.alias = os.ns.value;`.
+ * @param {string} publicPath The exported name.
+ * @param {string} valueName The fully qualified name of the value.
+ * @return {Node} The alias statement.
+ */
+const createExportAlias = (publicPath, valueName) => {
+  const alias = jscs(`${publicPath} = ${valueName};`).find(jscs.ExpressionStatement).get().value;
+  alias.comments = [jscs.commentBlock('*\n * @export\n ')];
+  return alias;
+};
+
+/**
+ * Replace a `goog.exportProperty` call exporting a value to a different name with an exported alias. Other calls are
+ * replaced with an assignment to the quoted name.
+ * @param {NodePath} path The call expression path.
+ */
+const exportPropertyAlias = (path) => {
+  const [owner, exportName, value] = path.value.arguments;
+  const isPath = node => (node.type === 'MemberExpression' && !node.computed) || node.type === 'Identifier';
+
+  if (path.parent.value.type === 'ExpressionStatement' && get(path.parent.parent.value.type) === 'Program' &&
+      isPath(owner) && isPath(value) && /^[\w$]+$/.test(exportName.value)) {
+    const publicPath = `${memberExpressionToString(owner)}.${exportName.value}`;
+    jscs(path.parent).replaceWith(createExportAlias(publicPath, memberExpressionToString(value)));
+  } else {
+    // replace the expression with an assignment
+    const leftSide = jscs.memberExpression(owner, exportName);
+    jscs(path).replaceWith(jscs.assignmentExpression('=', leftSide, value));
+  }
+};
+
+/**
+ * Replace a `goog.exportSymbol` call in a `goog.module` file with an entry in the module exports.
+ * @param {Node} root The root node.
+ * @param {NodePath} path The call expression path.
+ * @param {string} moduleName The module namespace.
+ */
+const exportSymbolFromModule = (root, path, moduleName) => {
+  const [publicPath, value] = path.value.arguments;
+  const exportName = publicPath.value.slice(moduleName.length + 1);
+  const hasDefaultExport = root.find(jscs.AssignmentExpression, {
+    left: {type: 'Identifier', name: 'exports'},
+    right: {type: 'Identifier'}
+  }).length > 0;
+
+  if (!publicPath.value.startsWith(`${moduleName}.`) || !/^[\w$]+$/.test(exportName) || hasDefaultExport) {
+    logWithNode('warn', `Unable to replace goog.exportSymbol for ${publicPath.value} with a module export.`,
+        path.value);
+    return;
+  }
+
+  // exports matching the local name are shorthand, and others are explicit aliases
+  addExports(root, [exportName], [value]);
+  removeCall(path);
+};
+
+/**
+ * Replace a `goog.exportSymbol` call in a `goog.provide` file with `@export` on the definition. Values exported to a
+ * different name are assigned to an exported alias.
+ * @param {Node} root The root node.
+ * @param {NodePath} path The call expression path.
+ * @param {Array<string>} provides The namespaces provided by the file.
+ */
+const exportSymbolFromProvide = (root, path, provides) => {
+  const [publicPath, value] = path.value.arguments;
+  const valueName = value.type === 'MemberExpression' || value.type === 'Identifier' ?
+      memberExpressionToString(value) : null;
+  const isProvided = provides.some(ns => publicPath.value.startsWith(`${ns}.`));
+
+  const definition = valueName === publicPath.value ? findDefinition(root, valueName) : undefined;
+  if (definition) {
+    addExportAnnotation(root, definition);
+    removeCall(path);
+  } else if (valueName && valueName !== publicPath.value && isProvided) {
+    // the value is exported to a different name, so export an alias for it
+    jscs(path.parent).replaceWith(createExportAlias(publicPath.value, valueName));
+  } else {
+    logWithNode('warn', `Unable to replace goog.exportSymbol for ${publicPath.value} with @export.`, path.value);
+  }
+};
+
+/**
+ * Get the prototype methods defined in a file, and if they are exported.
+ * @param {Node} root The root node.
+ * @return {!Object<string, boolean>} If each method is exported, by method name.
+ */
+const getPrototypeMethods = (root) => {
+  const methods = {};
+  const isExported = node => (node.comments || []).some(comment => comment.value.includes('@export'));
+
+  root.find(jscs.AssignmentExpression, {
+    left: {type: 'MemberExpression', object: {property: {name: 'prototype'}}},
+    right: {type: 'FunctionExpression'}
+  }).forEach(path => {
+    const left = path.value.left;
+    if (left.computed) {
+      // assigned with a quoted name, ie goog.exportProperty replaced with an assignment
+      methods[left.property.value] = true;
+    } else {
+      methods[left.property.name] = methods[left.property.name] || isExported(path.parent.value);
+    }
+  });
+
+  root.find(jscs.MethodDefinition, {kind: 'method', static: false}).forEach(path => {
+    methods[path.value.key.name] = methods[path.value.key.name] || isExported(path.value);
+  });
+
+  return methods;
+};
+
+/**
+ * Update Angular templates for the directives in a file. References to renamed controller methods are replaced, and
+ * controller methods used in the templates without being exported are reported.
+ * @param {Node} root The root node.
+ * @param {Array<{from: string, to: string, owner: string}>} renamed The renamed functions.
+ * @param {Object} options The jscodeshift options.
+ */
+const updateTemplates = (root, renamed, options) => {
+  const alias = getControllerAlias(root);
+  const templates = getTemplatePaths(root, options.templateRoot);
+  const methods = getPrototypeMethods(root);
+
+  templates.forEach(templatePath => {
+    const templateName = path.relative(options.templateRoot, templatePath);
+
+    renamed.filter(fn => fn.owner.endsWith('.prototype')).forEach(fn => {
+      const count = renameTemplateMember(templatePath, alias, fn.from, fn.to, !options.dry);
+      if (count) {
+        logger.info(`Replaced ${count} reference(s) to ${alias}.${fn.from} with ${alias}.${fn.to} in ${templateName}.`);
+      }
+    });
+
+    getTemplateMembers(templatePath, alias).forEach(name => {
+      if (methods[name] === false) {
+        logger.warn(`Controller method ${name} is used in ${templateName} without @export, and will be renamed by ` +
+            `the compiler.`);
+      }
+    });
+  });
+};
+
+/**
+ * Replace `goog.exportProperty` and `goog.exportSymbol` calls with `@export` or module exports.
+ *
+ * Options:
+ *  - templateRoot: Directory that directive `templateUrl` paths are relative to. Templates for directives in the file
+ *                  are updated when exported controller methods are renamed, and controller methods they use without
+ *                  being exported are reported. Templates are not written on dry runs.
+ *
  * @param {File} file The file being processed.
  * @param {Object} api The jscodeshift API.
  * @param {Object} options The jscodeshift options.
+ * @return {string} The converted source.
  */
 module.exports = (file, api, options) => {
   const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
 
+  const unusedRequires = getUnusedRequires(root);
+  const renamed = [];
   root.find(jscs.CallExpression, isExportableCall).forEach(path => {
     if (get(path.parent.parent.value.type) === 'Program') {
-      const programBody = get(path.parent.parent.value.body);
-      const currentIndex = programBody ? programBody.indexOf(path.parent.value) : -1;
-      const prev = currentIndex > 0 ? programBody[currentIndex - 1] : undefined;
-
-      if (prev && prev.type === 'ExpressionStatement' && get(prev.comments.length) > 0) {
-        if (prev.comments[prev.comments.length - 1].type === 'CommentBlock') {
-          // remove the old comment before updating
-          let newComment = prev.comments.pop().value;
-
-          // add @export to comment block unless already present
-          if (!newComment.includes('@export')) {
-            newComment = newComment.replace(/\s+$/, '\n * @export\n ');
-          }
-
-          // remove @protected annotation
-          newComment = newComment.replace('\n * @protected', '');
-
-          // if the function is marked as private, make it public
-          if (newComment.includes('@private')) {
-            prev.expression.left.property.name = renamePrivateFn(root, prev.expression.left.property.name);
-            newComment = newComment.replace('\n * @private', '');
-          }
-
-          // add the updated comment
-          prev.comments.push(jscs.commentBlock(newComment));
-
-          // remove the expression
-          // WORKAROUND: A recast bug may cause this to drop all blank lines after the statement. As a workaround,
-          // replace the statement with a comment block and remove it later.
-          jscs(path).replaceWith(jscs.commentBlock('JSCS-REMOVE'));
+      const definition = findDefinition(root, memberExpressionToString(path.value.arguments[2]));
+      if (definition) {
+        const renamedFn = addExportAnnotation(root, definition);
+        if (renamedFn) {
+          renamed.push(renamedFn);
         }
+
+        removeCall(path);
       }
     }
   });
 
-  root.find(jscs.CallExpression, isGEPCall).forEach(path => {
-    // replace the expression with an assignment
-    const leftSide = jscs.memberExpression(path.node.arguments[0], path.node.arguments[1]);
-    jscs(path).replaceWith(pp => jscs.assignmentExpression('=', leftSide, path.node.arguments[2]));
+  root.find(jscs.CallExpression, isGEPCall).forEach(exportPropertyAlias);
+
+  const programBody = root.find(jscs.Program).get().value.body;
+  const googModule = programBody.find(isGoogModule);
+  const provides = programBody.filter(isGoogProvide).map(node => node.expression.arguments[0].value);
+
+  root.find(jscs.CallExpression, isGESCall).forEach(path => {
+    if (get(path.parent.parent.value.type) !== 'Program') {
+      logWithNode('warn', `Unable to replace goog.exportSymbol for ${path.value.arguments[0].value} outside the ` +
+          `root of the file.`, path.value);
+    } else if (googModule) {
+      exportSymbolFromModule(root, path, googModule.expression.arguments[0].value);
+    } else {
+      exportSymbolFromProvide(root, path, provides);
+    }
   });
 
-  return root.toSource().replace(REMOVE_REGEXP, '');
+  if (options.templateRoot) {
+    updateTemplates(root, renamed, options);
+  }
+
+  removeUnusedRequires(root, unusedRequires);
+
+  return root.toSource(getDefaultSourceOptions()).replace(REMOVE_REGEXP, '');
 };
@@ -0,0 +1,48 @@
+/**
+ * @file Replaces function calls using rules loaded from a JSON or YAML file.
+ */
+
+const jscs = require('jscodeshift');
+const {getUnusedRequires, removeUnusedRequires} = require('../../utils/goog');
+const {logger} = require('../../utils/logger');
+const {getDefaultSourceOptions} = require('../../utils/options');
+const {getIndexFromOptions} = require('../../utils/provides');
+const {applyRule, loadRules} = require('../../utils/rules');
+
+/**
+ * Replace function calls using rules loaded from a JSON or YAML file. See `loadRules` in `src/utils/rules.js` for the
+ * rule format.
+ *
+ * Options:
+ *  - rules: Path to the rules file.
+ *  - rule: Only apply the rule replacing this function, ie `goog.array.some`.
+ *  - providesIndex: Path to the JSON provides index. If provided, rules are skipped if a required namespace is known
+ *                   to be missing from the index. Namespaces from libraries that aren't indexed are assumed to exist.
+ *  - external: Comma-separated namespaces from external libraries to assume exist, ie `ol,goog.dom`.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The converted source, or undefined if the rules could not be loaded.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  if (!options.rules) {
+    logger.error('The rules option is required to replace functions.');
+    return undefined;
+  }
+
+  const rules = loadRules(options.rules);
+  if (!rules) {
+    return undefined;
+  }
+
+  const index = getIndexFromOptions(options);
+  const unusedRequires = getUnusedRequires(root);
+  rules.filter(rule => !options.rule || rule.replace === options.rule).forEach(rule => applyRule(root, rule, index));
+  removeUnusedRequires(root, unusedRequires);
+
+  return root.toSource(getDefaultSourceOptions());
+};
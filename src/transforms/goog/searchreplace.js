@@ -0,0 +1,83 @@
+/**
+ * @file Replaces Closure Library references with equivalents from a mapping file.
+ */
+
+const path = require('path');
+const jscs = require('jscodeshift');
+const {getUnusedRequires, removeUnusedRequires} = require('../../utils/goog');
+const {replaceMemberExpression} = require('../../utils/jscs');
+const {logger} = require('../../utils/logger');
+const {getDefaultSourceOptions} = require('../../utils/options');
+const {getIndexFromOptions} = require('../../utils/provides');
+
+/**
+ * The default mapping, from the search/replace table in `docs/CLOSURE.md`.
+ * @type {string}
+ */
+const DEFAULT_MAPPING = path.join(__dirname, 'searchreplace.json');
+
+/**
+ * Load a mapping file. Mappings are a JSON file or a JS module exporting an array of replacements, each with the
+ * `replace` and `with` paths and an optional `googRequire` for the replacement.
+ * @param {string} mappingPath The mapping file path.
+ * @return {Array<Object>|null} The replacements, or null if the mapping could not be loaded.
+ */
+const loadMapping = (mappingPath) => {
+  let mapping;
+  try {
+    mapping = require(path.resolve(mappingPath));
+  } catch (e) {
+    logger.error(`Unable to load mapping ${mappingPath}: ${e.message}`);
+    return null;
+  }
+
+  if (!Array.isArray(mapping)) {
+    logger.error(`Mapping ${mappingPath} must be an array of replacements.`);
+    return null;
+  }
+
+  return mapping.filter(entry => {
+    const isValid = !!entry && typeof entry.replace === 'string' && typeof entry.with === 'string';
+    if (!isValid) {
+      logger.warn(`Skipping invalid replacement in ${mappingPath}: ${JSON.stringify(entry)}`);
+    }
+    return isValid;
+  });
+};
+
+/**
+ * Replace Closure Library references with equivalents from a mapping, ie `goog.now` with `Date.now`. Requires for the
+ * replacements are added, and requires that are no longer referenced are removed.
+ *
+ * Options:
+ *  - mapping: Path to a JSON or JS mapping file. Defaults to `searchreplace.json`, the table from `docs/CLOSURE.md`.
+ *  - providesIndex: Path to the JSON provides index. If provided, replacements are skipped if the required namespace is
+ *                   known to be missing from the index. Namespaces from libraries that aren't indexed are assumed to
+ *                   exist.
+ *  - external: Comma-separated namespaces from external libraries to assume exist, ie `ol,goog.dom`.
+ *
+ * @param {File} file The file being processed.
+ * @param {Object} api The jscodeshift API.
+ * @param {Object} options The jscodeshift options.
+ * @return {string|undefined} The updated source, or undefined if the file was not changed.
+ */
+module.exports = (file, api, options) => {
+  const root = jscs(file.source);
+  logger.setCurrentFile(file.path);
+
+  const mapping = loadMapping(options.mapping || DEFAULT_MAPPING);
+  if (!mapping) {
+    return undefined;
+  }
+
+  const index = getIndexFromOptions(options);
+  const unusedRequires = getUnusedRequires(root);
+  const replaced = mapping.filter(entry => replaceMemberExpression(root, entry, index) > 0);
+  if (!replaced.length) {
+    return undefined;
+  }
+
+  removeUnusedRequires(root, unusedRequires);
+
+  return root.toSource(getDefaultSourceOptions());
+};
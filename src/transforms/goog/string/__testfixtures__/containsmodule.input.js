@@ -0,0 +1,19 @@
+goog.module('os.ns.containsmodule');
+
+goog.require('goog.string');
+goog.require('os.ns.registerPlugin');
+
+const {getValue, getValues} = goog.require('os.ns.values');
+const Other = goog.requireType('os.ns.Other');
+
+
+/**
+ * If the value contains the search term.
+ * @param {Other} other The other object.
+ * @param {string} term The search term.
+ * @return {boolean}
+ */
+const hasTerm = (other, term) => goog.string.contains(getValue(other), term);
+
+
+exports = {hasTerm};
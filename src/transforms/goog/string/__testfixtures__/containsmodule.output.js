@@ -0,0 +1,18 @@
+goog.module('os.ns.containsmodule');
+
+goog.require('os.ns.registerPlugin');
+
+const {getValue, getValues} = goog.require('os.ns.values');
+const Other = goog.requireType('os.ns.Other');
+
+
+/**
+ * If the value contains the search term.
+ * @param {Other} other The other object.
+ * @param {string} term The search term.
+ * @return {boolean}
+ */
+const hasTerm = (other, term) => getValue(other).indexOf(term) != -1;
+
+
+exports = {hasTerm};
@@ -3,3 +3,4 @@
 const defineTest = require('jscodeshift/dist/testUtils').defineTest;
 
 defineTest(__dirname, 'contains', {});
+defineTest(__dirname, 'contains', {}, 'containsmodule');
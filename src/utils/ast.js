@@ -186,7 +186,11 @@ const replaceInComments = (root, pattern, replacement) => {
 
   root.find(jscs.Comment).forEach((path) => {
     const comment = path.value;
-    if (comment.value && comment.value.indexOf(pattern) > -1) {
+    const isMatch = comment.value && (typeof pattern === 'string' ?
+        comment.value.indexOf(pattern) > -1 :
+        comment.value.search(pattern) > -1);
+
+    if (isMatch) {
       let newComment = comment.value.replace(pattern, replacement);
       if (comment.type === 'CommentBlock') {
         //
@@ -209,6 +213,31 @@ const replaceInComments = (root, pattern, replacement) => {
 };
 
 
+/**
+ * Create a regular expression to match a namespace in comments. Longer names starting with the namespace, like
+ * `os.ns.FooBar` for `os.ns.Foo`, are not matched.
+ * @param {string} namespace The namespace.
+ * @return {RegExp} The global regular expression. The first group matches the character before the namespace.
+ */
+const createNamespaceRegExp = (namespace) => {
+  const escaped = namespace.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w$.])${escaped}(?![\\w$])`, 'g');
+};
+
+
+/**
+ * Replace all occurrences of a namespace in comments.
+ * @param {NodePath} root The root node path.
+ * @param {string} namespace The namespace.
+ * @param {string} replacement The replacement.
+ */
+const replaceNamespaceInComments = (root, namespace, replacement) => {
+  if (namespace !== replacement) {
+    replaceInComments(root, createNamespaceRegExp(namespace), (match, prefix) => `${prefix}${replacement}`);
+  }
+};
+
+
 /**
  * Replace a function expression with an arrow function.
  * @param {Node} node The node.
@@ -236,11 +265,13 @@ const replaceFunctionExpressionWithArrow = (node) => {
 module.exports = {
   createFindCallFn,
   createFindMemberExprObject,
+  createNamespaceRegExp,
   getUniqueVarName,
   hasVar,
   isCall,
   isInComment,
   isReferenced,
   replaceInComments,
+  replaceNamespaceInComments,
   replaceFunctionExpressionWithArrow
 };
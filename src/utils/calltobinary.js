@@ -1,5 +1,6 @@
 const get = require('get-value');
 const jscs = require('jscodeshift');
+const {getUnusedRequires, removeUnusedRequires} = require('./goog');
 const {logger} = require('./logger');
 
 /**
@@ -127,13 +128,14 @@ const getLeftSide = (path, options) => {
 };
 
 /**
- * Replace a CallExpression with a BinaryExpression.
+ * Replace a CallExpression with a BinaryExpression. Requires that are no longer used after the replacement are removed.
  * @param {Node} file The root node.
  * @param {Object} callOptions The CallExpression matching options, passed to `root.find`.
  * @param {Object} binaryOptions The BinaryExpression options.
  */
 module.exports = (file, callOptions, binaryOptions) => {
   const root = jscs(file.source);
+  const unusedRequires = getUnusedRequires(root);
 
   // find call expressions matching the provided options
   root.find(jscs.CallExpression, callOptions).forEach(path => {
@@ -154,5 +156,7 @@ module.exports = (file, callOptions, binaryOptions) => {
     }
   });
 
+  removeUnusedRequires(root, unusedRequires);
+
   return root;
 };
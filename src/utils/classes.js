@@ -1,10 +1,18 @@
 const jscs = require('jscodeshift');
 
-const {createFindCallFn, createFindMemberExprObject, getUniqueVarName} = require('./ast');
+const {
+  createFindCallFn,
+  createFindMemberExprObject,
+  getUniqueVarName,
+  isCall,
+  replaceNamespaceInComments
+} = require('./ast');
 const {getClassNode, registerClassNode} = require('./classregistry');
-const {addExports, isConst, isPrivate, isControllerClass} = require('./goog');
+const {addExports, addRequire, isConst, isGoogRequire, isPrivate, isControllerClass, isTypedef,
+  removeUnusedRequire} = require('./goog');
 const {createCall, memberExpressionToString} = require('./jscs');
 const {logWithNode} = require('./logger');
+const {getAncestors, getClassHierarchy} = require('./provides');
 
 /**
  * Match comments that should be put in the constructor function.
@@ -36,6 +44,18 @@ const EXTENDS = /@extends/;
  */
 const EXTENDS_GENERIC = /@extends {.+<.+>}/;
 
+/**
+ * Match @type JSDoc, used to detect property declarations.
+ * @type {RegExp}
+ */
+const TYPE_REGEXP = /@(type|const) {/;
+
+/**
+ * Match Closure annotations controlling whether properties may be added to class instances.
+ * @type {RegExp}
+ */
+const CLASS_RESTRICTION_REGEXP = /@(struct|dict|unrestricted)\b/;
+
 /**
  * Property name to assign UI controller class.
  * @type {string}
@@ -48,8 +68,38 @@ const CONTROLLER_NAME = 'Controller';
  */
 const DIRECTIVE_NAME = 'directive';
 
+/**
+ * Property name to assign the tag a directive is registered with.
+ * @type {string}
+ */
+const DIRECTIVE_TAG_NAME = 'directiveTag';
+
+/**
+ * Namespace of the helper that registers a directive function with the Angular module, ie
+ * `registerDirective(directiveTag, directive)`.
+ * @type {string}
+ */
+const DIRECTIVE_HELPER = 'os.ui.registerDirective';
+
+/**
+ * Styles of explicit Angular injection annotations for `@ngInject` functions.
+ * @enum {string}
+ */
+const InjectStyle = {
+  // static get $inject() on the class
+  STATIC: 'static',
+  // Controller.$inject = [...] after the class or function
+  ASSIGN: 'assign'
+};
+
 /**
  * Adds a method to a class.
+ * @param {string} moduleName The class module name.
+ * @param {string} methodName The method name.
+ * @param {Node} methodValue The method function.
+ * @param {boolean} isStatic If the method is static.
+ * @param {string=} kind The method kind: `method` (default), `get` or `set`.
+ * @return {Node|undefined} The method definition, or undefined if the class was not found.
  */
 const addMethodToClass = (moduleName, methodName, methodValue, isStatic, kind) => {
   let classMethod;
@@ -64,20 +114,82 @@ const addMethodToClass = (moduleName, methodName, methodValue, isStatic, kind) =
 };
 
 /**
- * Move a static class property to a static get function.
+ * Get the constructor for a class, creating an empty constructor if the class doesn't have one.
+ * @param {Node} classDef The class node.
+ * @return {Node} The constructor method definition.
+ */
+const getOrCreateConstructor = (classDef) => {
+  let ctor = classDef.body.body.find(node => node.type === 'MethodDefinition' && node.kind === 'constructor');
+  if (!ctor) {
+    const ctorFn = jscs.functionExpression(null, [], jscs.blockStatement([]));
+    ctor = jscs.methodDefinition('constructor', jscs.identifier('constructor'), ctorFn);
+    ctor.comments = [jscs.commentBlock(createCommentBlockFromParts([' * Constructor.']))];
+    classDef.body.body.unshift(ctor);
+  }
+
+  return ctor;
+};
+
+/**
+ * Declare a property in a class constructor, ie `this.propertyName;`.
+ * @param {string} moduleName The class module name.
+ * @param {string} propertyName The property name.
+ * @param {Array<Node>} comments The property comments.
+ * @return {Node|undefined} The property declaration, or undefined if the class was not found.
+ */
+const addPropertyToConstructor = (moduleName, propertyName, comments) => {
+  let declaration;
+
+  const classDef = getClassNode(moduleName);
+  if (classDef) {
+    declaration = jscs.expressionStatement(jscs.memberExpression(jscs.thisExpression(), jscs.identifier(propertyName)));
+    declaration.comments = comments;
+    getOrCreateConstructor(classDef).value.body.body.push(declaration);
+  }
+
+  return declaration;
+};
+
+/**
+ * Match @enum or @typedef JSDoc. Statics with these annotations are left as assignments on the class.
+ * @type {RegExp}
+ */
+const ENUM_TYPEDEF_REGEXP = /@(enum|typedef)\b/;
+
+/**
+ * Give a new statement the original location of a statement and its comments, so recast prints the new statement with
+ * the same blank lines around it.
+ * @param {Node} node The new statement.
+ * @param {Node} statement The original statement.
+ */
+const copyStatementLoc = (node, statement) => {
+  if (statement.loc) {
+    const firstComment = (statement.comments || []).find(comment => !!comment.loc);
+    node.loc = Object.assign({}, statement.loc, {
+      start: firstComment ? firstComment.loc.start : statement.loc.start
+    });
+  }
+};
+
+/**
+ * Move a static class property to a static get function, backed by a module-level variable. Properties marked
+ * `@const` are read-only, and all others also get a static set function.
  * @param {NodePath} path Path to the property assignment node.
  * @param {string} moduleName The class module name.
+ * @param {string=} varName The module-level variable name. Defaults to the property name.
  */
-const addStaticGetToClass = (path, moduleName) => {
+const addStaticGetToClass = (path, moduleName, varName) => {
   const classDef = getClassNode(moduleName);
   if (classDef) {
-    const varIdentifier = jscs.identifier(path.value.left.property.name);
+    const propIdentifier = jscs.identifier(path.value.left.property.name);
+    const varIdentifier = jscs.identifier(varName || propIdentifier.name);
     const isConstant = isConst(path.parent.value);
 
     const oldComments = path.parent.value.comments;
     let newComment;
     if (oldComments && oldComments.length) {
-      newComment = oldComments[0].value
+      newComment = oldComments[oldComments.length - 1].value
+          .replace('@const {', '@type {')
           .replace('\n * @const', '')
           .replace('@return ', '@type ');
     }
@@ -85,14 +197,17 @@ const addStaticGetToClass = (path, moduleName) => {
     // replace the current definition with the variable referenced by get/set
     const varDeclarator = jscs.variableDeclarator(varIdentifier, path.value.right);
     const varDeclaration = jscs.variableDeclaration(isConstant ? 'const' : 'let', [varDeclarator]);
-    varDeclaration.comments = [jscs.commentBlock(newComment)];
+    if (newComment) {
+      varDeclaration.comments = [jscs.commentBlock(newComment)];
+    }
 
+    copyStatementLoc(varDeclaration, path.parent.value);
     jscs(path.parent).replaceWith(varDeclaration);
 
     // create the static get block
     const getBlock = jscs.blockStatement([jscs.returnStatement(varIdentifier)]);
     const getFn = jscs.functionExpression(null, [], getBlock);
-    const staticGet = jscs.methodDefinition('get', varIdentifier, getFn, true);
+    const staticGet = jscs.methodDefinition('get', propIdentifier, getFn, true);
 
     // add comments to the static get. they will not be added to the static set to avoid duplicate doc entries.
     if (newComment) {
@@ -108,7 +223,7 @@ const addStaticGetToClass = (path, moduleName) => {
         jscs.assignmentExpression('=', varIdentifier, valueIdentifier)
       )]);
       const setFn = jscs.functionExpression(null, [valueIdentifier], setBlock);
-      const staticSet = jscs.methodDefinition('set', varIdentifier, setFn, true);
+      const staticSet = jscs.methodDefinition('set', propIdentifier, setFn, true);
 
       classDef.body.body.push(staticSet);
     }
@@ -181,37 +296,190 @@ const splitCommentsForClass = (comment) => {
 };
 
 /**
- * Convert a static property on the class.
+ * Convert a static property on the class. Functions are moved to static methods, and other values declared at the
+ * root level of the file are moved to static get/set functions.
+ * @param {NodePath} root The root node path.
+ * @param {NodePath} path Path to the property assignment node.
+ * @param {string} moduleName The class module name.
+ * @return {string|undefined} The module-level variable backing a static get/set, if one was created.
  */
 const convertStaticProperty = (root, path, moduleName) => {
+  const propName = path.value.left.property.name;
   if (path.value.right.type === 'FunctionExpression') {
-    const classMethod = addMethodToClass(moduleName, path.value.left.property.name, path.value.right, true);
+    const classMethod = addMethodToClass(moduleName, propName, path.value.right, true);
     classMethod.comments = path.parent.value.comments;
 
     jscs(path).remove();
+    return undefined;
+  }
+
+  const statement = path.parent.value;
+  const classDef = getClassNode(moduleName);
+  const comments = statement.comments || [];
+  const isTopLevel = statement.type === 'ExpressionStatement' && path.parent.parent.value.type === 'Program';
+  if (!classDef || !isTopLevel || path.value.left.computed || propName === 'prototype' ||
+      comments.some(comment => ENUM_TYPEDEF_REGEXP.test(comment.value)) ||
+      classDef.body.body.some(node => node.static && node.key.name === propName)) {
+    return undefined;
   }
+
+  const varName = getUniqueVarName(root, propName);
+  addStaticGetToClass(path, moduleName, varName);
+  return varName;
 };
 
+/**
+ * Global identifiers with immutable values.
+ * @type {!Array<string>}
+ */
+const IMMUTABLE_GLOBALS = ['Infinity', 'NaN', 'undefined'];
+
+/**
+ * If a value is immutable, so initializing it on each instance behaves the same as sharing it on the prototype.
+ * Identifiers are only immutable if they are immutable globals, or constants declared at the root of the file with an
+ * immutable value.
+ * @param {Node} node The value node.
+ * @param {Array<Node>=} body The program body, to look up constant declarations.
+ * @return {boolean}
+ */
+const isImmutableValue = (node, body = []) => {
+  switch (node.type) {
+    case 'Literal':
+      // regular expressions are objects with state
+      return !node.regex;
+    case 'Identifier':
+      return IMMUTABLE_GLOBALS.indexOf(node.name) > -1 || body.some(statement =>
+        statement.type === 'VariableDeclaration' && (statement.kind === 'const' || isConst(statement)) &&
+        statement.declarations.some(decl => decl.id.type === 'Identifier' && decl.id.name === node.name &&
+            !!decl.init && isImmutableValue(decl.init, body.filter(other => other !== statement))));
+    case 'TemplateLiteral':
+      return !node.expressions.length;
+    case 'UnaryExpression':
+      return isImmutableValue(node.argument, body);
+    default:
+      return false;
+  }
+};
+
+/**
+ * If a statement calls the parent constructor, ie `super()` or `<moduleName>.base(this, 'constructor')`.
+ * @param {Node} node The statement.
+ * @param {string} moduleName The class module name.
+ * @return {boolean}
+ */
+const isSuperConstructorCall = (node, moduleName) => {
+  if (node.type !== 'ExpressionStatement' || node.expression.type !== 'CallExpression') {
+    return false;
+  }
+
+  const call = node.expression;
+  return call.callee.type === 'Super' || (isCall(call, `${moduleName}.base`) && call.arguments.length > 1 &&
+      call.arguments[1].value === 'constructor');
+};
+
+/**
+ * Add property initializers to the top of a class constructor, following the call to the parent constructor.
+ * @param {string} moduleName The class module name.
+ * @param {Array<Node>} initializers The initializer statements.
+ */
+const addInitializersToConstructor = (moduleName, initializers) => {
+  const classDef = getClassNode(moduleName);
+  if (classDef && initializers.length) {
+    const ctorBody = getOrCreateConstructor(classDef).value.body.body;
+    const superIndex = ctorBody.findIndex(node => isSuperConstructorCall(node, moduleName));
+    ctorBody.splice(superIndex + 1, 0, ...initializers);
+  }
+};
+
+/**
+ * Convert a prototype assignment on the class. Functions are moved to class methods, and other values (except
+ * references to other members) are moved to initializers in the constructor.
+ * @param {NodePath} path Path to the prototype assignment node.
+ * @param {string} moduleName The class module name.
+ * @return {Node|undefined} The constructor initializer statement, if one was created.
+ */
 const convertPrototypeAssignment = (path, moduleName) => {
+  if (path.value.left.computed) {
+    // copied members are reported by checkMixins
+    return undefined;
+  }
+
   const propertyName = path.value.left.property.name;
-  const valueType = path.value.right.type;
+  const value = path.value.right;
+  const valueType = value.type;
   if (valueType === 'FunctionExpression') {
     // move functions to the class
-    const classMethod = addMethodToClass(moduleName, propertyName, path.value.right, false);
+    const classMethod = addMethodToClass(moduleName, propertyName, value, false);
     classMethod.comments = path.parent.value.comments;
 
+    jscs(path).remove();
+  } else if (valueType === 'MemberExpression' && memberExpressionToString(value) === 'goog.abstractMethod') {
+    // replace goog.abstractMethod with an abstract method stub
+    const comments = path.parent.value.comments || [];
+    addAbstractMethodToClass(moduleName, propertyName, comments.length ? comments.pop().value : undefined);
+
     jscs(path).remove();
   } else if (valueType === 'MemberExpression') {
     // convert in place, replacing the module name with the class name (ClassName.prototype.propertyName = value)
     replaceFQClass(path.value.left.object, moduleName);
-  } else {
+  } else if (path.parent.value.type !== 'ExpressionStatement') {
     logWithNode('warn', `Unable to convert prototype expression ${propertyName} of type ${valueType}.`, path.value);
+  } else {
+    if (!isImmutableValue(value, jscs(path).closest(jscs.Program).get().value.body)) {
+      logWithNode('warn', `Prototype property ${propertyName} is shared by all instances. It will be initialized ` +
+          `for each instance in the constructor, so verify instances do not rely on sharing the value.`, path.value);
+    }
+
+    // initialize the property on the instance, ie `this.propertyName = value;`
+    const thisMember = jscs.memberExpression(jscs.thisExpression(), jscs.identifier(propertyName));
+    const initializer = jscs.expressionStatement(jscs.assignmentExpression('=', thisMember, value));
+    initializer.comments = path.parent.value.comments;
+
+    jscs(path.parent).remove();
+
+    return initializer;
+  }
+
+  return undefined;
+};
+
+/**
+ * Match JSDoc describing a function, used to detect abstract method declarations.
+ * @type {RegExp}
+ */
+const FUNCTION_DOC_REGEXP = /@(param|return|abstract)\b/;
+
+/**
+ * Add an annotation to the end of a JSDoc comment, if it isn't already present.
+ * @param {string} comment The comment value.
+ * @param {string} annotation The annotation, ie `@abstract`.
+ * @return {string} The updated comment value.
+ */
+const addAnnotation = (comment, annotation) => {
+  return new RegExp(`${annotation}\\b`).test(comment) ? comment : comment.replace(/ *$/, ` * ${annotation}\n `);
+};
+
+/**
+ * Mark a class `@abstract`.
+ * @param {string} moduleName The class module name.
+ */
+const markClassAbstract = (moduleName) => {
+  const classDef = getClassNode(moduleName);
+  if (classDef) {
+    const comments = classDef.comments || [];
+    const comment = comments.length ? comments.pop().value : '*\n ';
+    classDef.comments = comments.concat([jscs.commentBlock(addAnnotation(comment, '@abstract'))]);
   }
 };
 
-const convertPrototypeExpression = (path, moduleName) => {
-  const propertyName = path.value.expression.property.name;
-  const commentParts = path.value.comments.pop().value.split('\n');
+/**
+ * Add an empty method to a class, with parameters from the `@param` tags in its JSDoc.
+ * @param {string} moduleName The class module name.
+ * @param {string} methodName The method name.
+ * @param {string} comment The method JSDoc comment value.
+ */
+const addEmptyMethodToClass = (moduleName, methodName, comment) => {
+  const commentParts = comment.split('\n');
 
   const args = commentParts.map(comment => {
     const match = comment.trim().match(PARAM_NAME_REGEXP);
@@ -219,12 +487,154 @@ const convertPrototypeExpression = (path, moduleName) => {
   }).filter(item => !!item).map(param => jscs.identifier(param));
 
   const fn = jscs.functionExpression(null, args, jscs.blockStatement([]));
-  const classMethod = addMethodToClass(moduleName, propertyName, fn, false);
-  classMethod.comments = [jscs.commentBlock(commentParts.join('\n'))];
+  const classMethod = addMethodToClass(moduleName, methodName, fn, false);
+  if (classMethod) {
+    classMethod.comments = [jscs.commentBlock(commentParts.join('\n'))];
+  }
+};
+
+/**
+ * Add an `@abstract` method stub to a class, and mark the class `@abstract`.
+ * @param {string} moduleName The class module name.
+ * @param {string} methodName The method name.
+ * @param {string=} comment The method JSDoc comment value.
+ */
+const addAbstractMethodToClass = (moduleName, methodName, comment = '*\n ') => {
+  addEmptyMethodToClass(moduleName, methodName, addAnnotation(comment, '@abstract'));
+  markClassAbstract(moduleName);
+};
+
+/**
+ * Convert a prototype declaration without a value, ie `MyInterface.prototype.fn;`. Typed properties are declared in
+ * the constructor, and everything else becomes an empty method. Methods declared on a regular class are marked
+ * `@abstract`, along with the class.
+ * @param {NodePath} path The expression statement path.
+ * @param {string} moduleName The class module name.
+ * @param {boolean=} isAbstract If methods should be converted to abstract methods.
+ */
+const convertPrototypeExpression = (path, moduleName, isAbstract) => {
+  const propertyName = path.value.expression.property.name;
+  const comment = path.value.comments && path.value.comments.pop();
+  if (!comment) {
+    logWithNode('warn', `Unable to convert undocumented prototype declaration ${propertyName}.`, path.value);
+    return;
+  }
+
+  if (TYPE_REGEXP.test(comment.value)) {
+    addPropertyToConstructor(moduleName, propertyName, [jscs.commentBlock(comment.value)]);
+    jscs(path).remove();
+    return;
+  }
+
+  if (isAbstract && !FUNCTION_DOC_REGEXP.test(comment.value)) {
+    logWithNode('warn', `Unable to convert prototype declaration ${propertyName} without a type or function ` +
+        `JSDoc.`, path.value);
+    path.value.comments.push(comment);
+    return;
+  }
+
+  if (isAbstract) {
+    addAbstractMethodToClass(moduleName, propertyName, comment.value);
+  } else {
+    addEmptyMethodToClass(moduleName, propertyName, comment.value);
+  }
 
   jscs(path).remove();
 };
 
+/**
+ * Property descriptor keys supported when converting `Object.defineProperty` to class accessors.
+ * @type {Array<string>}
+ */
+const ACCESSOR_DESCRIPTOR_KEYS = ['get', 'set', 'configurable', 'enumerable'];
+
+/**
+ * Convert `Object.defineProperty(<class>.prototype, 'name', {get: ..., set: ...})` to class get/set methods. The
+ * statement JSDoc is moved to the first accessor, unless the accessor has its own comment.
+ * @param {NodePath} path Path to the `Object.defineProperty` call expression.
+ * @param {string} moduleName The class module name.
+ */
+const convertDefinePropertyToAccessors = (path, moduleName) => {
+  const [, nameArg, descriptor] = path.value.arguments;
+  const statement = path.parent.value;
+  if (statement.type !== 'ExpressionStatement' || path.parent.parent.value.type !== 'Program' ||
+      nameArg.type !== 'Literal' || typeof nameArg.value !== 'string' || descriptor.type !== 'ObjectExpression') {
+    logWithNode('warn', 'Unable to convert Object.defineProperty on the class prototype.', path.value);
+    return;
+  }
+
+  const propertyName = nameArg.value;
+  const properties = descriptor.properties;
+  const getKey = prop => prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+  const accessors = properties.filter(prop => ['get', 'set'].indexOf(getKey(prop)) > -1);
+  if (!accessors.length || properties.some(prop => ACCESSOR_DESCRIPTOR_KEYS.indexOf(getKey(prop)) === -1) ||
+      accessors.some(prop => prop.value.type !== 'FunctionExpression')) {
+    logWithNode('warn', `Unable to convert Object.defineProperty for ${propertyName}. Only get/set functions are ` +
+        `supported.`, path.value);
+    return;
+  }
+
+  if (properties.some(prop => getKey(prop) === 'enumerable' && prop.value.value === true)) {
+    logWithNode('warn', `Property ${propertyName} was enumerable, but class accessors are not.`, path.value);
+  }
+
+  const statementComments = statement.comments && statement.comments.length ? statement.comments : null;
+  accessors.forEach((prop, idx) => {
+    const classMethod = addMethodToClass(moduleName, propertyName, prop.value, false, getKey(prop));
+    if (classMethod) {
+      classMethod.comments = prop.comments && prop.comments.length ? prop.comments :
+        idx === 0 ? statementComments : null;
+    }
+  });
+
+  jscs(path.parent).remove();
+};
+
+/**
+ * Check `goog.mixin` calls and computed assignments copying members to a class prototype. These are left in place
+ * after the class and reference the local class name once converted, but class methods are now defined before the
+ * members are copied. Mixins that were applied before methods were assigned to the prototype may now replace those
+ * methods, so they are reported.
+ * @param {NodePath} root The root node path.
+ * @param {string} moduleName The class module name.
+ */
+const checkMixins = (root, moduleName) => {
+  const body = root.find(jscs.Program).get().value.body;
+  const prototypeObject = createFindMemberExprObject(`${moduleName}.prototype`);
+
+  // top level statements defining methods on the prototype
+  const methodStatements = body.filter(node => node.type === 'ExpressionStatement' &&
+      node.expression.type === 'AssignmentExpression' && node.expression.right.type === 'FunctionExpression' &&
+      jscs.match(node.expression.left, {type: 'MemberExpression', computed: false, object: prototypeObject}));
+
+  root.find(jscs.CallExpression, {
+    callee: createFindMemberExprObject('goog.mixin'),
+    arguments: [prototypeObject]
+  }).forEach(path => {
+    const statement = path.parent.value;
+    const statementIndex = body.indexOf(statement);
+    if (statementIndex === -1) {
+      logWithNode('warn', `Found goog.mixin for ${moduleName} outside the root of the file. Verify it does not ` +
+          `replace methods defined in the class.`, path.value);
+      return;
+    }
+
+    const overridden = methodStatements.filter(node => body.indexOf(node) > statementIndex)
+        .map(node => node.expression.left.property.name);
+    if (overridden.length) {
+      logWithNode('warn', `Found goog.mixin for ${moduleName} before methods were added to the prototype. Class ` +
+          `methods are defined first, so verify the mixin does not replace: ${overridden.join(', ')}.`, path.value);
+    }
+  });
+
+  root.find(jscs.AssignmentExpression, {
+    left: {type: 'MemberExpression', computed: true, object: prototypeObject}
+  }).forEach(path => {
+    logWithNode('warn', `Found members copied to the ${moduleName} prototype. Verify they do not replace methods ` +
+        `defined in the class.`, path.value);
+  });
+};
+
 /**
  * Move a `goog.inherits` expression to the class extends syntax.
  * @param {NodePath} path Path to the goog.inherits expression.
@@ -284,6 +694,165 @@ const moveSingletonToClass = (path, moduleName) => {
   }
 };
 
+/**
+ * If a node accesses `this`, ignoring nested functions that have their own `this` context.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const usesThis = (node) => jscs(node).find(jscs.ThisExpression).some(path => {
+  for (let current = path.parent; current && current.value !== node; current = current.parent) {
+    if (current.value.type === 'FunctionExpression' || current.value.type === 'FunctionDeclaration') {
+      return false;
+    }
+  }
+  return true;
+});
+
+/**
+ * Find nodes of a type that are evaluated with a statement, ignoring nested functions that are not called inline.
+ * @param {Node} node The statement.
+ * @param {Object} type The node type.
+ * @return {Collection} The nodes.
+ */
+const findEvaluated = (node, type) => jscs(node).find(type).filter(path => {
+  for (let current = path.parent; current && current.value !== node; current = current.parent) {
+    if (current.value.type === 'FunctionExpression' || current.value.type === 'FunctionDeclaration' ||
+        current.value.type === 'ArrowFunctionExpression') {
+      return false;
+    }
+  }
+  return true;
+});
+
+/**
+ * Get the path an expression refers to, ie `options.foo` or `this.options_`. Computed members refer to the object.
+ * @param {Node} node The expression.
+ * @return {?string} The path, or null if the expression does not refer to a variable or `this`.
+ */
+const getReferencePath = (node) => {
+  if (node.type === 'Identifier') {
+    return node.name;
+  } else if (node.type === 'ThisExpression') {
+    return 'this';
+  } else if (node.type === 'MemberExpression') {
+    const objectPath = getReferencePath(node.object);
+    return objectPath && !node.computed ? `${objectPath}.${node.property.name}` : objectPath;
+  }
+
+  return null;
+};
+
+/**
+ * If an expression refers to, or is a part of, one of the paths.
+ * @param {Node} node The expression.
+ * @param {!Array<string>} paths The paths.
+ * @return {boolean}
+ */
+const touchesPath = (node, paths) => {
+  const nodePath = getReferencePath(node);
+  return !!nodePath && paths.some(p => nodePath === p || nodePath.startsWith(`${p}.`) || p.startsWith(`${nodePath}.`));
+};
+
+/**
+ * If a statement may change the values passed to `super()`. The statement is a blocker if it assigns a variable or
+ * member the call uses, or passes it to (or calls a method on) another function. Values stored on `this` are tracked,
+ * and any method called on `this` after that is a blocker.
+ * @param {Node} node The statement.
+ * @param {!Array<string>} superPaths The paths used by the `super()` call. Aliases found in the statement are added.
+ * @return {boolean}
+ */
+const changesSuperArgs = (node, superPaths) => {
+  let changes = false;
+
+  findEvaluated(node, jscs.VariableDeclarator).forEach(path => {
+    const decl = path.value;
+    if (decl.id.type !== 'Identifier' || touchesPath(decl.id, superPaths)) {
+      changes = true;
+    } else if (decl.init && touchesPath(decl.init, superPaths)) {
+      superPaths.push(decl.id.name);
+    }
+  });
+
+  findEvaluated(node, jscs.AssignmentExpression).forEach(path => {
+    const {left, right} = path.value;
+    if (!getReferencePath(left) || touchesPath(left, superPaths)) {
+      changes = true;
+    } else if (touchesPath(right, superPaths)) {
+      superPaths.push(getReferencePath(left));
+    }
+  });
+
+  findEvaluated(node, jscs.UpdateExpression).forEach(path => {
+    changes = changes || touchesPath(path.value.argument, superPaths);
+  });
+
+  findEvaluated(node, jscs.UnaryExpression).forEach(path => {
+    changes = changes || path.value.operator === 'delete' && touchesPath(path.value.argument, superPaths);
+  });
+
+  const thisHasAlias = () => superPaths.some(p => p.startsWith('this.'));
+  [jscs.CallExpression, jscs.NewExpression].forEach(type => findEvaluated(node, type).forEach(path => {
+    const {callee} = path.value;
+    const calleeObject = callee.type === 'MemberExpression' ? callee.object : null;
+    changes = changes || path.value.arguments.some(arg => touchesPath(arg, superPaths)) ||
+        !!calleeObject && touchesPath(calleeObject, superPaths) ||
+        !!calleeObject && getReferencePath(calleeObject) === 'this' && thisHasAlias();
+  }));
+
+  return changes;
+};
+
+/**
+ * Move a `super()` call in a constructor above statements that access `this`, which is invalid in ES6. The call is
+ * only moved if the statements it is moved above can't change its arguments. Otherwise the blocking statements are
+ * reported.
+ * @param {NodePath} path Path to the `super()` call expression.
+ * @param {string} moduleName The module name.
+ */
+const moveSuperBeforeThis = (path, moduleName) => {
+  const statement = path.parent.value;
+  const block = path.parent.parent && path.parent.parent.value;
+  if (statement.type !== 'ExpressionStatement' || !block || block.type !== 'BlockStatement') {
+    return;
+  }
+
+  const body = block.body;
+  const superIdx = body.indexOf(statement);
+  const firstThisIdx = body.findIndex((node, idx) => idx < superIdx && usesThis(node));
+  if (firstThisIdx === -1) {
+    return;
+  }
+
+  if (usesThis(statement)) {
+    logWithNode('warn', `The super() call in ${moduleName} accesses "this" before it is initialized. Update the ` +
+        `constructor manually.`, statement);
+    return;
+  }
+
+  // variables used by the super() call
+  const superPaths = [];
+  jscs(statement).find(jscs.Identifier).forEach(idPath => {
+    const parent = idPath.parent.value;
+    if (parent.type !== 'MemberExpression' || parent.object === idPath.value || parent.computed) {
+      superPaths.push(idPath.value.name);
+    }
+  });
+
+  const blockers = body.slice(firstThisIdx, superIdx).filter(node => changesSuperArgs(node, superPaths));
+
+  if (blockers.length) {
+    const superLine = statement.loc ? ` (line ${statement.loc.start.line})` : '';
+    blockers.forEach(node => {
+      logWithNode('warn', `"this" is accessed before super() in ${moduleName}, and super()${superLine} depends on ` +
+          `this statement. Move the super() call manually.`, node);
+    });
+    return;
+  }
+
+  body.splice(superIdx, 1);
+  body.splice(firstThisIdx, 0, statement);
+};
+
 const replaceBaseWithSuper = (path, moduleName) => {
   const args = path.value.arguments;
   if (args[1].type === 'Literal') {
@@ -293,7 +862,6 @@ const replaceBaseWithSuper = (path, moduleName) => {
     let superCall;
     if (fnName === 'constructor') {
       superCall = jscs.callExpression(jscs.super(), superArgs);
-      // TODO: detect "this" before super and log a warning
     } else {
       const superMember = jscs.memberExpression(jscs.super(), jscs.identifier(fnName), false);
       superCall = jscs.callExpression(superMember, superArgs);
@@ -301,23 +869,132 @@ const replaceBaseWithSuper = (path, moduleName) => {
 
     if (superCall) {
       jscs(path).replaceWith(superCall);
+
+      if (fnName === 'constructor') {
+        moveSuperBeforeThis(path, moduleName);
+      }
     }
   }
 };
 
-const replaceSuperclassWithSuper = (path, moduleName) => {
+/**
+ * Get the class method directly containing a node. Arrow functions share `this` with the method, so they are skipped.
+ * @param {NodePath} path The node path.
+ * @return {Node|undefined} The method definition, or undefined if the node is not in a class method.
+ */
+const getEnclosingMethod = (path) => {
+  for (let current = path.parent; current; current = current.parent) {
+    const type = current.value.type;
+    if (type === 'FunctionExpression' || type === 'FunctionDeclaration') {
+      return current.parent && current.parent.value.type === 'MethodDefinition' ? current.parent.value : undefined;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Create a call to a parent class function with `super`.
+ * @param {?string} fnName The function name, or null to call the parent constructor.
+ * @param {Array<Node>} args The call arguments.
+ * @return {Node} The call expression.
+ */
+const createSuperCall = (fnName, args) => {
+  const callee = fnName ? jscs.memberExpression(jscs.super(), jscs.identifier(fnName), false) : jscs.super();
+  return jscs.callExpression(callee, args);
+};
+
+/**
+ * Warn when a call to an ancestor class is replaced with `super`, because `super` calls the nearest implementation.
+ * @param {string} ancestor The ancestor namespace.
+ * @param {string} fnName The function name.
+ * @param {Node} node The replaced node.
+ */
+const warnAncestorSuper = (ancestor, fnName, node) => {
+  logWithNode('warn', `Replaced call to ${fnName} on ancestor ${ancestor} with super. Verify classes between ` +
+      `${ancestor} and the parent class do not override ${fnName}.`, node);
+};
+
+/**
+ * Replace `<class>.superClass_.fn.call(this, ...)` with `super.fn(...)`, when the class is the class being converted
+ * or one of its ancestors.
+ * @param {NodePath} path Path to the `<class>.superClass_` member expression.
+ * @param {string} moduleName The module name.
+ * @param {Array<string>} ancestors The ancestors of the class being converted.
+ */
+const replaceSuperclassWithSuper = (path, moduleName, ancestors) => {
   // superClass_ -> fn -> "call" member -> call expression
   const callExpr = path.parent.parent.parent;
   const fnName = path.parent.value.property.name;
   const className = memberExpressionToString(path.value.object);
-  if (className === moduleName) {
-    // classes match, convert to super
-    const superMember = jscs.memberExpression(jscs.super(), jscs.identifier(fnName), false);
-    const superArgs = callExpr.value.arguments.slice(1);
-    const superCall = jscs.callExpression(superMember, superArgs);
-    jscs(callExpr).replaceWith(superCall);
-  } else {
+  if (className !== moduleName && ancestors.indexOf(className) === -1) {
     logWithNode('warn', `Found superClass_ call to another class (${className}).`, path.value);
+  } else if (!getEnclosingMethod(callExpr)) {
+    logWithNode('warn', `Unable to replace superClass_ call outside of a class method.`, path.value);
+  } else {
+    if (className !== moduleName) {
+      // superClass_ is the parent of the ancestor
+      const ancestor = ancestors[ancestors.indexOf(className) + 1] || `${className}.superClass_`;
+      warnAncestorSuper(ancestor, fnName, path.value);
+    }
+
+    jscs(callExpr).replaceWith(createSuperCall(fnName, callExpr.value.arguments.slice(1)));
+  }
+};
+
+/**
+ * Replace `Parent.prototype.fn.call(this, ...)` with `super.fn(...)`, when `Parent` is an ancestor of the class.
+ * @param {NodePath} path Path to the call expression.
+ * @param {string} moduleName The module name.
+ * @param {Array<string>} ancestors The ancestors of the class being converted.
+ */
+const replacePrototypeCallWithSuper = (path, moduleName, ancestors) => {
+  const fnMember = path.value.callee.object;
+  const fnName = fnMember.property.name;
+  const className = memberExpressionToString(fnMember.object.object);
+  const ancestorIndex = ancestors.indexOf(className);
+  if (ancestorIndex > -1 && getEnclosingMethod(path)) {
+    if (ancestorIndex > 0) {
+      warnAncestorSuper(className, fnName, path.value);
+    }
+
+    jscs(path).replaceWith(createSuperCall(fnName, path.value.arguments.slice(1)));
+  }
+};
+
+/**
+ * Replace `Parent.call(this, ...)` in a constructor with `super(...)`, when `Parent` is the parent class.
+ * @param {NodePath} path Path to the call expression.
+ * @param {string} moduleName The module name.
+ * @param {Array<string>} ancestors The ancestors of the class being converted.
+ */
+const replaceParentCallWithSuper = (path, moduleName, ancestors) => {
+  const method = getEnclosingMethod(path);
+  if (ancestors.length && memberExpressionToString(path.value.callee.object) === ancestors[0] &&
+      method && method.kind === 'constructor') {
+    jscs(path).replaceWith(createSuperCall(null, path.value.arguments.slice(1)));
+    moveSuperBeforeThis(path, moduleName);
+  }
+};
+
+/**
+ * Replace old-style `goog.base(this, ...)` calls with `super`. In a constructor the remaining arguments are passed to
+ * the parent constructor, and in other methods the second argument is the function name.
+ * @param {NodePath} path Path to the `goog.base` call expression.
+ * @param {string} moduleName The module name.
+ */
+const replaceGoogBaseWithSuper = (path, moduleName) => {
+  const args = path.value.arguments;
+  const method = getEnclosingMethod(path);
+  if (!method) {
+    logWithNode('warn', 'Unable to replace goog.base call outside of a class method.', path.value);
+  } else if (method.kind === 'constructor') {
+    jscs(path).replaceWith(createSuperCall(null, args.slice(1)));
+    moveSuperBeforeThis(path, moduleName);
+  } else if (args.length > 1 && args[1].type === 'Literal' && typeof args[1].value === 'string') {
+    jscs(path).replaceWith(createSuperCall(args[1].value, args.slice(2)));
+  } else {
+    logWithNode('warn', 'Unable to replace goog.base call without a function name.', path.value);
   }
 };
 
@@ -364,6 +1041,7 @@ const replaceProvidesWithModules = (root) => {
  * @param {NodePath} root The root node.
  * @param {string} controllerName The controller name.
  * @param {string} directiveName The directive name.
+ * @return {string} The UI module name.
  */
 const replaceUIModules = (root, controllerName, directiveName) => {
   const moduleName = controllerName.replace(/Ctrl$/, 'UI');
@@ -376,6 +1054,169 @@ const replaceUIModules = (root, controllerName, directiveName) => {
       args[0] = jscs.literal(moduleName);
     }
   });
+
+  return moduleName;
+};
+
+/**
+ * Create a call registering a directive with the registration helper, ie `registerDirective(directiveTag, directive)`.
+ * The helper registers the function directly, so Angular uses its `$inject` if it has one.
+ * @param {Node} tag The directive tag expression.
+ * @param {Node} directiveFn The directive function expression.
+ * @return {Node} The registration call.
+ */
+const createDirectiveRegistration = (tag, directiveFn) => createCall(DIRECTIVE_HELPER, [tag, directiveFn]);
+
+/**
+ * Standardize the registration of a directive with an Angular module. The tag is assigned to an exported
+ * `directiveTag` constant, and the directive is registered with the tag through the registration helper, directly after
+ * the directive function. The require for the Angular module is removed if it is no longer used.
+ * @param {NodePath} root The root node path.
+ * @param {Node} directiveNode The directive function declaration, or the `directive.$inject` assignment following it.
+ * @param {string} moduleName The Closure module name.
+ * @return {boolean} If the registration was standardized and `directiveTag` was exported.
+ */
+const registerDirective = (root, directiveNode, moduleName) => {
+  // find calls registering the directive, ie `os.ui.Module.directive('tag', [os.ns.myDirective])`
+  const registrations = root.find(jscs.CallExpression, {
+    callee: {type: 'MemberExpression', property: {name: 'directive'}}
+  }).filter(path => {
+    const args = path.value.arguments;
+    const fn = args.length === 2 && args[1].type === 'ArrayExpression' ? args[1].elements[args[1].elements.length - 1] :
+      args[1];
+    return !!fn && fn.type === 'MemberExpression' && memberExpressionToString(fn) === moduleName;
+  });
+
+  if (!registrations.length) {
+    return false;
+  }
+
+  const path = registrations.paths()[0];
+  const tag = path.value.arguments[0];
+  if (registrations.length > 1 || path.parent.value.type !== 'ExpressionStatement' ||
+      path.parent.parent.value.type !== 'Program' || tag.type !== 'Literal' || typeof tag.value !== 'string') {
+    logWithNode('warn', 'Unable to standardize directive registration. Register the directive once, with a ' +
+        'string tag.', path.value);
+    return false;
+  }
+
+  const tagDeclarator = jscs.variableDeclarator(jscs.identifier(DIRECTIVE_TAG_NAME), jscs.literal(tag.value));
+  const tagDeclaration = jscs.variableDeclaration('const', [tagDeclarator]);
+  tagDeclaration.comments = [jscs.commentBlock(createCommentBlockFromParts([
+    ' * The element tag for the directive.',
+    ' * @type {string}'
+  ]))];
+
+  // update the registration in place to keep the surrounding whitespace
+  const registration = path.parent.value;
+  const angularModule = memberExpressionToString(path.value.callee.object);
+  registration.expression = createDirectiveRegistration(jscs.identifier(DIRECTIVE_TAG_NAME),
+      jscs.identifier(DIRECTIVE_NAME));
+  if (!registration.comments || !registration.comments.length) {
+    registration.comments = [jscs.commentBlock(createCommentBlockFromParts([' * Add the directive to the module.']))];
+  }
+
+  // register the directive directly after the directive function
+  const programBody = root.find(jscs.Program).get().value.body;
+  if (programBody.indexOf(registration) !== programBody.indexOf(directiveNode) + 1) {
+    programBody.splice(programBody.indexOf(registration), 1);
+    programBody.splice(programBody.indexOf(directiveNode) + 1, 0, registration);
+  }
+
+  // insert the tag before the registration, printed with the same blank lines before it
+  copyStatementLoc(tagDeclaration, registration);
+  programBody.splice(programBody.indexOf(registration), 0, tagDeclaration);
+
+  addRequire(root, DIRECTIVE_HELPER);
+  if (angularModule) {
+    removeUnusedRequire(root, angularModule);
+  }
+
+  addExports(root, [DIRECTIVE_TAG_NAME]);
+  return true;
+};
+
+/**
+ * If a node has an `@ngInject` comment.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const hasNgInject = (node) => (node.comments || []).some(comment => CTOR_COMMENT_REGEXP.test(comment.value));
+
+/**
+ * Remove `@ngInject` from the comments on a node.
+ * @param {Node} node The node.
+ */
+const removeNgInject = (node) => {
+  node.comments = node.comments.map(comment => jscs.commentBlock(comment.value.split('\n')
+      .filter(line => !CTOR_COMMENT_REGEXP.test(line)).join('\n')));
+};
+
+/**
+ * Create the array of names Angular injects into a function, from the function parameters.
+ * @param {Node} fn The function.
+ * @return {Node|undefined} The array, or undefined if a parameter is not an identifier.
+ */
+const createInjectArray = (fn) => {
+  if (fn.params.some(param => param.type !== 'Identifier')) {
+    return undefined;
+  }
+
+  return jscs.arrayExpression(fn.params.map(param => jscs.literal(param.name)));
+};
+
+/**
+ * Create a statement assigning the names Angular injects into a function, ie `Controller.$inject = ['$scope'];`.
+ * @param {string} name The class or function name.
+ * @param {Node} injectArray The injected names.
+ * @return {Node} The assignment statement.
+ */
+const createInjectAssignment = (name, injectArray) => {
+  const target = jscs.memberExpression(jscs.identifier(name), jscs.identifier('$inject'));
+  const assignment = jscs.expressionStatement(jscs.assignmentExpression('=', target, injectArray));
+  assignment.comments = [jscs.commentBlock(createCommentBlockFromParts([
+    ' * The services injected by Angular.',
+    ' * @type {!Array<string>}'
+  ]))];
+  return assignment;
+};
+
+/**
+ * Replace `@ngInject` on a class constructor with explicit injection, so the class can be used without ngAnnotate or
+ * the Closure Angular pass. The injected names are returned by `static get $inject()` on the class, or assigned to
+ * `<class>.$inject` after the class.
+ * @param {NodePath} root The root node path.
+ * @param {Node} classDef The class node.
+ * @param {string} injectStyle The injection style.
+ */
+const addInjectToClass = (root, classDef, injectStyle) => {
+  const classBody = classDef.body.body;
+  const ctor = classBody.find(node => node.type === 'MethodDefinition' && node.kind === 'constructor');
+  if (!ctor || !hasNgInject(ctor)) {
+    return;
+  }
+
+  const injectArray = createInjectArray(ctor.value);
+  if (!injectArray) {
+    logWithNode('warn', `Unable to add $inject to ${classDef.id.name}. Constructor parameters must be identifiers.`,
+        ctor);
+    return;
+  }
+
+  if (injectStyle === InjectStyle.STATIC) {
+    const getterFn = jscs.functionExpression(null, [], jscs.blockStatement([jscs.returnStatement(injectArray)]));
+    const getter = jscs.methodDefinition('get', jscs.identifier('$inject'), getterFn, true);
+    getter.comments = [jscs.commentBlock(createCommentBlockFromParts([
+      ' * The services injected by Angular.',
+      ' * @return {!Array<string>}'
+    ]))];
+    classBody.splice(classBody.indexOf(ctor) + 1, 0, getter);
+  } else {
+    const programBody = root.find(jscs.Program).get().value.body;
+    programBody.splice(programBody.indexOf(classDef) + 1, 0, createInjectAssignment(classDef.id.name, injectArray));
+  }
+
+  removeNgInject(ctor);
 };
 
 /**
@@ -383,8 +1224,11 @@ const replaceUIModules = (root, controllerName, directiveName) => {
  * @param {NodePath} root The root node path.
  * @param {NodePath} path The Closure class node path.
  * @param {string} moduleName The Closure module name.
+ * @param {string=} injectStyle Replace `@ngInject` with an explicit `directive.$inject` assignment. Any
+ *     `InjectStyle` value may be used, as the directive is not a class.
+ * @return {boolean} If `directiveTag` was exported, changing the directive to a named export.
  */
-const convertDirective = (root, path, moduleName) => {
+const convertDirective = (root, path, moduleName, injectStyle) => {
   const directiveBody = path.value.right.body;
 
   let arrowBody;
@@ -399,22 +1243,40 @@ const convertDirective = (root, path, moduleName) => {
     expression = true;
   }
 
-  const directiveFn = jscs.arrowFunctionExpression([], arrowBody, expression);
+  const directiveFn = jscs.arrowFunctionExpression(path.value.right.params, arrowBody, expression);
   const varDeclarator = jscs.variableDeclarator(jscs.identifier(DIRECTIVE_NAME), directiveFn);
   const varDeclaration = jscs.variableDeclaration('const', [varDeclarator]);
   varDeclaration.comments = [jscs.commentBlock(path.parent.value.comments.pop().value)];
 
   jscs(path.parent).replaceWith(varDeclaration);
 
+  addExports(root, DIRECTIVE_NAME);
+
+  let injectAssignment;
+  if (injectStyle && hasNgInject(varDeclaration)) {
+    const injectArray = createInjectArray(directiveFn);
+    if (injectArray) {
+      injectAssignment = createInjectAssignment(DIRECTIVE_NAME, injectArray);
+      const programBody = root.find(jscs.Program).get().value.body;
+      programBody.splice(programBody.indexOf(varDeclaration) + 1, 0, injectAssignment);
+      removeNgInject(varDeclaration);
+    } else {
+      logWithNode('warn', 'Unable to add $inject to the directive. Parameters must be identifiers.', varDeclaration);
+    }
+  }
+
+  const tagExported = registerDirective(root, injectAssignment || varDeclaration, moduleName);
+
   // replace references to the fully qualified class name with the local class reference
   root.find(jscs.MemberExpression, createFindMemberExprObject(moduleName))
       .forEach(path => jscs(path).replaceWith(jscs.identifier(DIRECTIVE_NAME)));
 
-  addExports(root, DIRECTIVE_NAME);
+  return tagExported;
 };
 
 /**
- * Convert a Closure interface to an ES6 class.
+ * Convert a Closure interface or record to an ES6 class. The `@interface`/`@record` annotation is kept, and typed
+ * prototype properties are declared in the constructor.
  * @param {NodePath} root The root node path.
  * @param {NodePath} path The Closure class node path.
  * @param {string} moduleName The Closure module name.
@@ -430,6 +1292,12 @@ const convertInterface = (root, path, moduleName) => {
 
   registerClassNode(moduleName, classDef);
 
+  // keep property declarations in the constructor function, ie `this.name;`
+  const ctorValue = path.value.right;
+  if (ctorValue.type === 'FunctionExpression' && ctorValue.body.body.length) {
+    getOrCreateConstructor(classDef).value.body = ctorValue.body;
+  }
+
   // move all prototype functions/properties to the class
   root.find(jscs.ExpressionStatement, {
     expression: {
@@ -511,6 +1379,16 @@ const convertGoogDefine = (root, path, modules) => {
   }
 };
 
+/**
+ * Convert a property declared on a namespace to a local variable, exported unless it is private.
+ *
+ * Typedefs are declared with `let` and keep their `@typedef` annotation. Because typedefs are only referenced in
+ * JSDoc, references to the fully qualified name are replaced in comments as well as code.
+ *
+ * @param {NodePath} root The root node path.
+ * @param {NodePath} path The expression statement path.
+ * @param {string} moduleName The Closure module name.
+ */
 const convertNamespaceExpression = (root, path, moduleName) => {
   const expression = path.value.expression;
   const isAssignment = expression.type === 'AssignmentExpression';
@@ -518,7 +1396,7 @@ const convertNamespaceExpression = (root, path, moduleName) => {
       path.value.expression.property.name;
   const isPrivateExpr = isPrivate(path.value);
 
-  const kind = isAssignment && !isReassigned(root, moduleName, propName) ? 'const' : 'let';
+  const kind = isAssignment && !isTypedef(path.value) && !isReassigned(root, moduleName, propName) ? 'const' : 'let';
   const varDeclarator = jscs.variableDeclarator(jscs.identifier(propName), expression.right || null);
   const varDeclaration = jscs.variableDeclaration(kind, [varDeclarator]);
 
@@ -534,19 +1412,44 @@ const convertNamespaceExpression = (root, path, moduleName) => {
   // replace references to the fully qualified class name with the local class reference
   root.find(jscs.MemberExpression, createFindMemberExprObject(`${moduleName}.${propName}`))
       .forEach(path => jscs(path).replaceWith(jscs.identifier(propName)));
+  replaceNamespaceInComments(root, `${moduleName}.${propName}`, propName);
 
   if (!isPrivateExpr) {
     addExports(root, [propName]);
   }
 };
 
+/**
+ * Convert a module that is a typedef (`goog.provide('os.ns.Foo')` with `os.ns.Foo;`) to a local typedef, assigned
+ * as the default export.
+ * @param {NodePath} root The root node path.
+ * @param {NodePath} path The expression statement path.
+ * @param {string} moduleName The Closure module name.
+ */
+const convertTypedef = (root, path, moduleName) => {
+  const typedefName = path.value.expression.property.name;
+  const varDeclarator = jscs.variableDeclarator(jscs.identifier(typedefName), null);
+  const varDeclaration = jscs.variableDeclaration('let', [varDeclarator]);
+  varDeclaration.comments = [jscs.commentBlock(path.value.comments.pop().value.replace('\n * @const', ''))];
+
+  jscs(path).replaceWith(varDeclaration);
+
+  // typedefs are only referenced in comments
+  replaceNamespaceInComments(root, moduleName, typedefName);
+
+  addExports(root, typedefName);
+};
+
 /**
  * Convert a Closure class to an ES6 class.
  * @param {NodePath} root The root node path.
  * @param {NodePath} path The Closure class node path.
  * @param {string} moduleName The Closure module name.
+ * @param {Object<string, string>=} hierarchy The class hierarchy, used to replace calls to ancestors with `super`.
+ *     Defaults to the `goog.inherits` calls in the file.
+ * @param {string=} injectStyle Replace `@ngInject` on the constructor with explicit injection in this style.
  */
-const convertClass = (root, path, moduleName) => {
+const convertClass = (root, path, moduleName, hierarchy = getClassHierarchy(root), injectStyle) => {
   const isController = isControllerClass(path.parent.value);
   const className = isController ? CONTROLLER_NAME : path.value.left.property.name;
 
@@ -558,40 +1461,104 @@ const convertClass = (root, path, moduleName) => {
   const comments = path.parent.value.comments;
   if (comments && comments.length) {
     const classComments = splitCommentsForClass(comments.pop().value);
-    if (isController) {
+    if (isController && !CLASS_RESTRICTION_REGEXP.test(classComments.body)) {
       classComments.body = classComments.body.replace(/ *$/, ' * @unrestricted\n ');
     }
     classDef.comments = [jscs.commentBlock(classComments.body)];
     ctor.comments = [jscs.commentBlock(classComments.ctor)];
   }
 
+  // report mixins before prototype statements are moved to the class
+  checkMixins(root, moduleName);
+
   jscs(path.parent).replaceWith(classDef);
 
   registerClassNode(moduleName, classDef);
 
   // move all prototype functions/properties to the class
+  const initializers = [];
   root.find(jscs.AssignmentExpression, {
     left: {
       type: 'MemberExpression',
       object: createFindMemberExprObject(`${moduleName}.prototype`)
     }
-  }).forEach(path => convertPrototypeAssignment(path, moduleName));
+  }).forEach(path => {
+    const initializer = convertPrototypeAssignment(path, moduleName);
+    if (initializer) {
+      initializers.push(initializer);
+    }
+  });
+
+  // move prototype declarations without a value to the constructor or abstract methods
+  root.find(jscs.ExpressionStatement, {
+    expression: {
+      object: createFindMemberExprObject(`${moduleName}.prototype`)
+    }
+  }).forEach(path => convertPrototypeExpression(path, moduleName, true));
+
+  // move Object.defineProperty accessors on the prototype to class get/set methods
+  root.find(jscs.CallExpression, {
+    callee: createFindMemberExprObject('Object.defineProperty'),
+    arguments: [createFindMemberExprObject(`${moduleName}.prototype`)]
+  }).forEach(path => convertDefinePropertyToAccessors(path, moduleName));
+
+  // remove the goog.abstractMethod require if all references were replaced with abstract methods
+  if (!root.find(jscs.MemberExpression, createFindMemberExprObject('goog.abstractMethod')).length) {
+    root.find(jscs.ExpressionStatement, node => isGoogRequire(node) &&
+        node.expression.arguments[0].value === 'goog.abstractMethod').remove();
+  }
 
   // replace all <class>.base calls with super
   root.find(jscs.CallExpression, createFindCallFn(`${moduleName}.base`))
       .forEach(path => replaceBaseWithSuper(path, moduleName));
 
-  // replace all <class>.superClass_ calls with super
+  // replace all <class>.superClass_ calls with super, if the class is an ancestor
+  const ancestors = getAncestors(hierarchy, moduleName);
   root.find(jscs.MemberExpression, createFindMemberExprObject(`superClass_`))
-      .forEach(path => replaceSuperclassWithSuper(path, moduleName));
+      .forEach(path => replaceSuperclassWithSuper(path, moduleName, ancestors));
+
+  // replace Parent.prototype.fn.call(this, ...) calls with super, if the parent is an ancestor
+  root.find(jscs.CallExpression, {
+    callee: {
+      object: {object: {type: 'MemberExpression', property: {name: 'prototype'}}},
+      property: {name: 'call'}
+    },
+    arguments: [{type: 'ThisExpression'}]
+  }).forEach(path => replacePrototypeCallWithSuper(path, moduleName, ancestors));
+
+  // replace Parent.call(this, ...) and goog.base(this, ...) calls with super
+  root.find(jscs.CallExpression, {
+    callee: {type: 'MemberExpression', property: {name: 'call'}},
+    arguments: [{type: 'ThisExpression'}]
+  }).forEach(path => replaceParentCallWithSuper(path, moduleName, ancestors));
+
+  root.find(jscs.CallExpression, createFindCallFn('goog.base'))
+      .forEach(path => replaceGoogBaseWithSuper(path, moduleName));
+
+  // add prototype value initializers after the parent constructor call
+  addInitializersToConstructor(moduleName, initializers);
 
   // move all static properties to the class
+  const staticVars = {};
   root.find(jscs.AssignmentExpression, {
     left: {
       type: 'MemberExpression',
       object: createFindMemberExprObject(moduleName)
     }
-  }).forEach(path => convertStaticProperty(root, path, moduleName));
+  }).forEach(path => {
+    const propName = path.value.left.property.name;
+    const varName = convertStaticProperty(root, path, moduleName);
+    if (varName) {
+      staticVars[propName] = varName;
+    }
+  });
+
+  // reference static get/set values in the module through their variables
+  Object.keys(staticVars).forEach(propName => {
+    root.find(jscs.MemberExpression, createFindMemberExprObject(`${moduleName}.${propName}`))
+        .filter(path => !path.value.computed)
+        .forEach(path => jscs(path).replaceWith(jscs.identifier(staticVars[propName])));
+  });
 
   // move goog.addSingletonGetter to a class getInstance function
   root.find(jscs.CallExpression, {
@@ -609,11 +1576,21 @@ const convertClass = (root, path, moduleName) => {
   root.find(jscs.MemberExpression, createFindMemberExprObject(moduleName))
       .forEach(path => jscs(path).replaceWith(jscs.identifier(className)));
 
+  // replace @ngInject with explicit injection
+  if (injectStyle) {
+    addInjectToClass(root, classDef, injectStyle);
+  }
+
   // add exports statement for the class
   addExports(root, className);
 };
 
 module.exports = {
+  CONTROLLER_NAME,
+  DIRECTIVE_HELPER,
+  DIRECTIVE_NAME,
+  DIRECTIVE_TAG_NAME,
+  InjectStyle,
   addMethodToClass,
   addStaticGetToClass,
   convertGoogDefine,
@@ -621,6 +1598,7 @@ module.exports = {
   convertClass,
   convertDirective,
   convertInterface,
+  convertTypedef,
   replaceProvidesWithModules,
   replaceUIModules,
   splitCommentsForClass
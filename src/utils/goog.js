@@ -1,6 +1,6 @@
 const jscs = require('jscodeshift');
 
-const {createFindMemberExprObject, getUniqueVarName, isCall, isInComment, isReferenced, replaceInComments} = require('./ast');
+const {createFindMemberExprObject, getUniqueVarName, isCall, isInComment, isReferenced, replaceNamespaceInComments} = require('./ast');
 
 
 /**
@@ -12,7 +12,7 @@ const CONST_REGEXP = /@const([\s]+.*)?/;
 
 const getObjectProperty = (key, value) => {
   const property = jscs.property('init', jscs.identifier(key), value || jscs.identifier(key));
-  property.shorthand = true;
+  property.shorthand = property.value.type === 'Identifier' && property.value.name === key;
   return property;
 };
 
@@ -199,13 +199,39 @@ const isDirective = node => {
 
 
 /**
- * If a node represents an interface.
+ * If a node represents an interface or record.
  * @param {Node} node The node.
  * @return {boolean}
  */
 const isInterface = node => {
   if (node && node.comments && node.comments.length === 1) {
-    return node.comments[0].value.indexOf('@interface') > -1;
+    return node.comments[0].value.indexOf('@interface') > -1 || isRecord(node);
+  }
+  return false;
+};
+
+
+/**
+ * If a node represents a record (structural interface).
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const isRecord = node => {
+  if (node && node.comments && node.comments.length === 1) {
+    return node.comments[0].value.indexOf('@record') > -1;
+  }
+  return false;
+};
+
+
+/**
+ * If a node is a typedef.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const isTypedef = node => {
+  if (node && node.comments && node.comments.length === 1) {
+    return node.comments[0].value.indexOf('@typedef') > -1;
   }
   return false;
 };
@@ -266,19 +292,146 @@ const addRequire = (root, toAdd) => {
 
 
 /**
- * Replace a legacy goog.require statement to use the module return value.
+ * Add a goog.requireType statement if the namespace isn't already required. The statement is added after the existing
+ * goog.require/goog.requireType statements.
+ * @param {Node} root The root node.
+ * @param {string} toAdd The require to add.
+ */
+const addRequireType = (root, toAdd) => {
+  const requires = root.find(jscs.ExpressionStatement, isLegacyRequire);
+  if (!requires.some(path => path.node.expression.arguments[0].value === toAdd)) {
+    const programBody = root.find(jscs.Program).get().value.body;
+    let insertIndex = programBody.findIndex(node => !isGoogModule(node) && !isGoogDeclareLegacyNamespace(node) &&
+        !isGoogProvide(node) && !isGoogModuleRequire(node) && !isGoogModuleRequireType(node) && !isLegacyRequire(node));
+    if (insertIndex === -1) {
+      insertIndex = programBody.length;
+    }
+
+    const callee = jscs.memberExpression(jscs.identifier('goog'), jscs.identifier('requireType'));
+    const call = jscs.callExpression(callee, [jscs.literal(toAdd)]);
+    programBody.splice(insertIndex, 0, jscs.expressionStatement(call));
+  }
+};
+
+
+/**
+ * Remove a goog.require statement if the namespace is no longer referenced in code or comments.
+ * @param {Node} root The root node.
+ * @param {string} toRemove The require to remove.
+ * @return {boolean} If the require was removed.
+ */
+const removeUnusedRequire = (root, toRemove) => {
+  if (isReferenced(root, toRemove) || isInComment(root, toRemove)) {
+    return false;
+  }
+
+  const requires = root.find(jscs.ExpressionStatement, node => isGoogRequire(node) &&
+      node.expression.arguments[0].value === toRemove);
+  requires.remove();
+
+  return requires.length > 0;
+};
+
+
+/**
+ * If a node is a legacy `goog.require` or `goog.requireType` statement.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const isLegacyRequire = node => isGoogRequire(node) ||
+    node.type === 'ExpressionStatement' && isCall(node.expression, 'goog.requireType');
+
+
+/**
+ * If a local variable is referenced in code or JSDoc, outside of its declaration.
+ * @param {Node} root The root node.
+ * @param {string} name The variable name.
+ * @param {Node} declaration The variable declaration.
+ * @return {boolean}
+ */
+const isVarReferenced = (root, name, declaration) => {
+  const inCode = root.find(jscs.Identifier, {name}).some(path => {
+    const parent = path.parent.value;
+    return !(parent.type === 'MemberExpression' && parent.property === path.value && !parent.computed) &&
+        !(parent.type === 'Property' && parent.key === path.value && !parent.shorthand) &&
+        jscs(declaration).find(jscs.Identifier).nodes().indexOf(path.value) === -1;
+  });
+
+  const nameRegExp = new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}(?![\\w$])`);
+  return inCode || root.find(jscs.Comment).some(path => path.value.type === 'CommentBlock' &&
+      nameRegExp.test(path.value.value));
+};
+
+
+/**
+ * Get the names provided by `goog.require`/`goog.requireType` statements and aliases that are not referenced in code or
+ * JSDoc. Names are the required namespace for legacy statements, and the local variable names for aliases.
+ * @param {Node} root The root node.
+ * @return {!Array<string>} The unused names.
+ */
+const getUnusedRequires = (root) => {
+  const unused = [];
+
+  root.find(jscs.ExpressionStatement, isLegacyRequire).forEach(path => {
+    const ns = path.value.expression.arguments[0].value;
+    if (!isReferenced(root, ns) && !isInComment(root, ns)) {
+      unused.push(ns);
+    }
+  });
+
+  root.find(jscs.VariableDeclaration, node => isGoogModuleRequire(node) || isGoogModuleRequireType(node))
+      .forEach(path => {
+        const id = path.value.declarations[0].id;
+        const names = id.type === 'ObjectPattern' ? id.properties.map(prop => prop.value.name) : [id.name];
+        names.filter(name => !!name && !isVarReferenced(root, name, path.value)).forEach(name => unused.push(name));
+      });
+
+  return unused;
+};
+
+
+/**
+ * Remove `goog.require`/`goog.requireType` statements and aliases that are not referenced in code or JSDoc. Requires
+ * that were unused before a transform ran may be loaded for side effects, so pass the result of `getUnusedRequires`
+ * from before the transform to keep them.
+ * @param {Node} root The root node.
+ * @param {Array<string>=} keep Names to keep, even if they are not referenced.
+ */
+const removeUnusedRequires = (root, keep = []) => {
+  const toRemove = getUnusedRequires(root).filter(name => keep.indexOf(name) === -1);
+  if (!toRemove.length) {
+    return;
+  }
+
+  root.find(jscs.ExpressionStatement, isLegacyRequire)
+      .filter(path => toRemove.indexOf(path.value.expression.arguments[0].value) > -1)
+      .remove();
+
+  root.find(jscs.VariableDeclaration, node => isGoogModuleRequire(node) || isGoogModuleRequireType(node))
+      .forEach(path => {
+        const id = path.value.declarations[0].id;
+        if (id.type === 'ObjectPattern') {
+          id.properties = id.properties.filter(prop => toRemove.indexOf(prop.value.name) === -1);
+          if (!id.properties.length) {
+            jscs(path).remove();
+          }
+        } else if (toRemove.indexOf(id.name) > -1) {
+          jscs(path).remove();
+        }
+      });
+};
+
+
+/**
+ * Replace a legacy goog.require or goog.requireType statement to use the module return value.
  * @param {Node} root The root node.
  * @param {string} toReplace The require to replace.
  * @return {?string} The legacy require namespace, or null if replaced.
  */
 const replaceLegacyRequire = (root, toReplace) => {
-  // remove existing goog.require calls for the module
-  root.find(jscs.ExpressionStatement, {
-    expression: {
-      callee: createFindMemberExprObject('goog.require'),
-      arguments: [{value: toReplace}]
-    }
-  }).remove();
+  // remove existing goog.require/goog.requireType calls for the module
+  root.find(jscs.ExpressionStatement, node => isLegacyRequire(node) &&
+      node.expression.arguments[0].value === toReplace).remove();
 
   let requireCall;
 
@@ -318,7 +471,7 @@ const replaceLegacyRequire = (root, toReplace) => {
       .forEach(path => jscs(path).replaceWith(jscs.identifier(varName)));
 
   // replace references in comments
-  replaceInComments(root, toReplace, varName);
+  replaceNamespaceInComments(root, toReplace, varName);
 
   return null;
 };
@@ -334,10 +487,12 @@ const sortRequires = root => {
       .map(node => node.expression.arguments[0].value)
       .sort();
 
+  // replace the required namespace in place, replacing the statement may drop whitespace after the last require
   root.find(jscs.ExpressionStatement, isGoogRequire).forEach((path, idx, arr) => {
-    const callee = jscs.memberExpression(jscs.identifier('goog'), jscs.identifier('require'));
-    const call = jscs.callExpression(callee, [jscs.literal(requires[idx])]);
-    jscs(path).replaceWith(jscs.expressionStatement(call));
+    const args = path.value.expression.arguments;
+    if (args[0].value !== requires[idx]) {
+      args[0] = jscs.literal(requires[idx]);
+    }
   });
 };
 
@@ -378,9 +533,32 @@ const sortModuleRequires = root => {
 };
 
 
+/**
+ * If a namespace is known to be missing from a provides index. A namespace is only known to be missing if the index
+ * covers its library, by providing another namespace with the same root (ie `ol.Map` for `ol.array`). Namespaces from
+ * libraries that aren't indexed, or that are listed in the index `external` array, are assumed to be available.
+ * @param {Object} index The provides index.
+ * @param {string} moduleName The namespace.
+ * @return {boolean}
+ */
+const isMissingFromIndex = (index, moduleName) => {
+  const hasModule = name => Object.prototype.hasOwnProperty.call(index.modules, name);
+  const isInNamespace = (name, ns) => name === ns || name.startsWith(`${ns}.`);
+  if (!index || !moduleName || hasModule(moduleName) ||
+      (index.external || []).some(ns => isInNamespace(moduleName, ns))) {
+    return false;
+  }
+
+  const root = moduleName.split('.')[0];
+  return Object.keys(index.modules).some(name => isInNamespace(name, root));
+};
+
+
 module.exports = {
   addExports,
   addRequire,
+  addRequireType,
+  getUnusedRequires,
   isGoogDeclareLegacyNamespace,
   isGoogDefine,
   isGoogModule,
@@ -393,7 +571,13 @@ module.exports = {
   isDirective,
   isInterface,
   isConst,
+  isLegacyRequire,
+  isMissingFromIndex,
   isPrivate,
+  isRecord,
+  isTypedef,
+  removeUnusedRequire,
+  removeUnusedRequires,
   replaceLegacyRequire,
   sortRequires,
   sortModuleRequires
@@ -1,19 +1,20 @@
 const jscs = require('jscodeshift');
-const {createFindCallFn} = require('./ast');
-const {addRequire} = require('./goog');
+const {createFindMemberExprObject} = require('./ast');
+const {addRequire, isMissingFromIndex} = require('./goog');
+const {logger} = require('./logger');
 const {getDefaultSourceOptions} = require('./options');
 
 /**
  * Bind a callback argument to a `this` argument.
  * @param {Array} args The arguments.
- * @return {Array} The arguments, with the callback bound.
+ * @param {Array<number>} indices The callback and `this` argument indices.
+ * @return {Array} The arguments, with the callback bound and the `this` argument removed.
  */
 const bindArgs = (args, indices) => {
-  // assume the last two arguments are the callback and the "this" arg
   const bindExpression = jscs.memberExpression(args[indices[0]], jscs.identifier('bind'));
   const callExpression = jscs.callExpression(bindExpression, [args[indices[1]]]);
-  args.length = args.length - 2;
-  args.push(callExpression);
+  args[indices[0]] = callExpression;
+  args.splice(indices[1], 1);
 
   return args;
 };
@@ -70,26 +71,31 @@ const memberExpressionToString = (node) => {
 };
 
 /**
- * Replace a function call with another.
+ * Replace a member expression with another, ie `goog.now` with `Date.now`.
  * @param {Node} root The root node.
- * @param {Object} options The replace options.
+ * @param {Object} options The replace options: `replace` and `with` paths, and an optional `googRequire` for the
+ *                         replacement.
+ * @param {Object=} index The provides index. If provided, references will not be replaced if the required namespace
+ *                        is known to be missing from the index.
+ * @return {number} The number of references replaced.
  */
-const replaceFunction = (root, options) => {
-  const findFn = createFindCallFn(options.replace);
-  root.find(jscs.CallExpression, findFn).forEach(path => {
-    let args = path.value.arguments;
-    if (options.bindArgs && args.length > options.bindArgs[1]) {
-      args = bindArgs(path.value.arguments, options.bindArgs);
-    }
+const replaceMemberExpression = (root, options, index) => {
+  if (isMissingFromIndex(index, options.googRequire)) {
+    logger.warn(`Skipping ${options.replace} replacement, ${options.googRequire} is not in the provides index.`);
+    return 0;
+  }
 
-    if (args && (!options.requiredArgs || args.length >= options.requiredArgs)) {
-      jscs(path).replaceWith(createCall(options.with, args));
+  const references = root.find(jscs.MemberExpression, createFindMemberExprObject(options.replace))
+      .filter(path => !path.value.computed);
 
-      if (options.googRequire) {
-        addRequire(root, options.googRequire);
-      }
-    }
-  });
+  references.forEach(path => jscs(path).replaceWith(options.with.indexOf('.') > -1 ?
+      createMemberExpression(options.with) : jscs.identifier(options.with)));
+
+  if (references.length && options.googRequire) {
+    addRequire(root, options.googRequire);
+  }
+
+  return references.length;
 };
 
 /**
@@ -128,6 +134,45 @@ const printSource = (root) => {
     }
   }
 
+  // add a blank line before the module exports if they follow an existing statement, which recast prints without one
+  output = output.replace(/([^\n/])\n(exports = )/, '$1\n\n$2');
+
+  // add trailing newline
+  return `${output}\n`;
+};
+
+/**
+ * Print ES6 module source code and fix whitespace issues with recast's printer.
+ * @param {Node} root The root node.
+ * @return {string} The printed source.
+ */
+const printModuleSource = (root) => {
+  let output = root.toSource(getDefaultSourceOptions()).trim();
+
+  // remove blank lines between import statements
+  output = output.replace(/^(import [^;]+;)\n{2,}(?=import )/gm, '$1\n');
+
+  // add one blank line between the imports and goog.declareModuleId
+  output = output.replace(/;\n+(goog\.declareModuleId\()/, ';\n\n$1');
+
+  // add one blank line after goog.declareModuleId if there are require statements, two blank lines if not
+  const requireRegExp = /^(const .+ = )?goog\.require(Type)?\('[^']+'\);$/gm;
+  const hasRequires = requireRegExp.test(output);
+  const linesAfterModuleId = hasRequires ? '\n\n' : '\n\n\n';
+  output = output.replace(/(goog\.declareModuleId\('[^']+'\);)\n*/, `$1${linesAfterModuleId}`);
+
+  // add two blank lines between the last require and the rest of the content
+  if (hasRequires) {
+    const requireMatches = output.match(requireRegExp);
+    const lastRequire = output.lastIndexOf(requireMatches[requireMatches.length - 1]);
+    const nextNewline = output.indexOf('\n', lastRequire);
+    if (nextNewline > -1) {
+      const before = output.slice(0, nextNewline).trim();
+      const after = output.slice(nextNewline).trim();
+      output = `${before}\n\n\n${after}`;
+    }
+  }
+
   // add trailing newline
   return `${output}\n`;
 };
@@ -137,6 +182,7 @@ module.exports = {
   createCall,
   createMemberExpression,
   memberExpressionToString,
+  printModuleSource,
   printSource,
-  replaceFunction
+  replaceMemberExpression
 }
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const {logger} = require('./logger');
+
+
+/**
+ * Loaded manifests, keyed by the resolved manifest path.
+ * @type {!Object<string, !Object<string, Object>>}
+ */
+const loadedManifests = {};
+
+
+/**
+ * Record a module that was moved to a new file or renamed by a transform.
+ *
+ * The manifest contains one JSON entry per line, so it can be safely appended to by jscodeshift workers:
+ *
+ * ```
+ * {"from": "os.ns.MyCtrl", "to": "os.ns.MyUI", "exportName": "Controller", "file": "os/ns/my.js"}
+ * ```
+ *
+ * - from: The original namespace.
+ * - to: The module providing the namespace after the move.
+ * - exportName: The export on the new module containing the original value, or null for the default export.
+ * - file: The file providing the new module.
+ *
+ * @param {string} manifestPath Path to the manifest file.
+ * @param {{from: string, to: string, exportName: ?string, file: string}} entry The manifest entry.
+ */
+const addMovedModule = (manifestPath, entry) => {
+  const resolvedPath = path.resolve(manifestPath);
+  const manifestDir = path.dirname(resolvedPath);
+  const record = Object.assign({}, entry, {
+    file: path.relative(manifestDir, path.resolve(entry.file)).split(path.sep).join('/')
+  });
+
+  fs.appendFileSync(resolvedPath, `${JSON.stringify(record)}\n`, 'utf8');
+};
+
+
+/**
+ * Load a moved modules manifest.
+ * @param {string} manifestPath Path to the manifest file.
+ * @return {Object<string, Object>} Manifest entries keyed by the original namespace, or null if the manifest could
+ *                                  not be loaded. Entry file paths are resolved to absolute paths, and lines that
+ *                                  are not valid JSON are logged and skipped.
+ */
+const loadMovedModules = (manifestPath) => {
+  const resolvedPath = path.resolve(manifestPath);
+  if (!loadedManifests[resolvedPath]) {
+    if (!fs.existsSync(resolvedPath)) {
+      logger.error(`Moved modules manifest not found: ${resolvedPath}`);
+      return null;
+    }
+
+    const manifestDir = path.dirname(resolvedPath);
+    const entries = {};
+    fs.readFileSync(resolvedPath, 'utf8').split('\n').forEach((line, idx) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        logger.error(`Unable to parse moved modules manifest ${resolvedPath} line ${idx + 1}: ${e.message}`);
+        return;
+      }
+
+      entry.file = path.resolve(manifestDir, entry.file);
+      entry.exportName = entry.exportName || null;
+      entries[entry.from] = entry;
+    });
+
+    loadedManifests[resolvedPath] = entries;
+  }
+
+  return loadedManifests[resolvedPath];
+};
+
+
+module.exports = {
+  addMovedModule,
+  loadMovedModules
+};
@@ -0,0 +1,596 @@
+const fs = require('fs');
+const path = require('path');
+const jscs = require('jscodeshift');
+
+const {isCall} = require('./ast');
+const {addRequire, addRequireType, isClosureClass, isDirective, isGoogDeclareLegacyNamespace, isGoogDefine,
+  isGoogModule, isGoogModuleRequire, isGoogModuleRequireType, isGoogProvide, isGoogRequire, isInterface,
+  isPrivate} = require('./goog');
+const {memberExpressionToString} = require('./jscs');
+const {logger} = require('./logger');
+
+
+/**
+ * Match @enum JSDoc.
+ * @type {RegExp}
+ */
+const ENUM_REGEXP = /@enum/;
+
+/**
+ * Match @typedef JSDoc.
+ * @type {RegExp}
+ */
+const TYPEDEF_REGEXP = /@typedef/;
+
+/**
+ * Kinds of provided modules recorded in the index.
+ * @enum {string}
+ */
+const ProvideKind = {
+  CLASS: 'class',
+  DIRECTIVE: 'directive',
+  ENUM: 'enum',
+  INTERFACE: 'interface',
+  NAMESPACE: 'namespace',
+  TYPEDEF: 'typedef',
+  VALUE: 'value'
+};
+
+
+/**
+ * Loaded provides indexes, keyed by the resolved index path.
+ * @type {!Object<string, Object>}
+ */
+const loadedIndexes = {};
+
+
+/**
+ * Load a provides index from a JSON file.
+ *
+ * The index maps each provided namespace to the file that provides it, and each file to its provides and requires:
+ *
+ * ```
+ * {
+ *   "modules": {
+ *     "os.ns.MyClass": {"file": "os/ns/myclass.js", "kind": "class", "exports": [], "superClass": "os.ns.Parent"},
+ *     "os.ns": {"file": "os/ns/ns.js", "kind": "namespace", "exports": ["someFn"]}
+ *   },
+ *   "files": {
+ *     "os/ns/myclass.js": {
+ *       "provides": ["os.ns.MyClass"],
+ *       "requires": ["os.ns"],
+ *       "requireTypes": [],
+ *       "legacyRefs": ["os.ns"]
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * `legacyRefs` lists the indexed namespaces a file references as globals, through fully qualified names, JSDoc types
+ * or `goog.require` statements without an assignment.
+ *
+ * `superClass` is the namespace extended by a class, from `goog.inherits` or the `extends` clause.
+ *
+ * `legacyNamespace` is set for `goog.module` namespaces, and is true if the module calls
+ * `goog.module.declareLegacyNamespace`. Namespaces without it are provided with `goog.provide`, and are always global.
+ *
+ * An optional `external` array lists namespaces from external libraries that are not indexed, ie `["ol"]`. Transforms
+ * that skip changes requiring a namespace missing from the index treat these as available.
+ *
+ * Only `modules[].file` is required. File paths are relative to the directory containing the index, and will be
+ * resolved to absolute paths when loaded. Indexes can be generated with the `index` NPM script.
+ *
+ * @param {string} indexPath Path to the index file.
+ * @return {Object} The index, or null if it could not be loaded.
+ */
+const loadProvidesIndex = (indexPath) => {
+  const resolvedPath = path.resolve(indexPath);
+  if (!loadedIndexes[resolvedPath]) {
+    if (!fs.existsSync(resolvedPath)) {
+      logger.error(`Provides index not found: ${resolvedPath}`);
+      return null;
+    }
+
+    const index = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    index.modules = index.modules || {};
+
+    const indexDir = path.dirname(resolvedPath);
+    Object.keys(index.modules).forEach(moduleName => {
+      const entry = index.modules[moduleName];
+      entry.file = path.resolve(indexDir, entry.file);
+    });
+
+    const files = index.files || {};
+    index.files = {};
+    Object.keys(files).forEach(file => {
+      index.files[path.resolve(indexDir, file)] = files[file];
+    });
+
+    loadedIndexes[resolvedPath] = index;
+  }
+
+  return loadedIndexes[resolvedPath];
+};
+
+
+/**
+ * Load the provides index from the jscodeshift options, if configured. Namespaces in the `external` option, a
+ * comma-separated string or array, are added to the index `external` list.
+ * @param {Object} options The jscodeshift options.
+ * @return {Object} The index, or null if not configured or it could not be loaded.
+ */
+const getIndexFromOptions = (options) => {
+  const index = options && options.providesIndex ? loadProvidesIndex(options.providesIndex) : null;
+  if (!index || !options.external) {
+    return index;
+  }
+
+  const external = Array.isArray(options.external) ? options.external : String(options.external).split(',');
+  return Object.assign({}, index, {
+    external: (index.external || []).concat(external.map(ns => ns.trim()).filter(ns => !!ns))
+  });
+};
+
+
+/**
+ * Get the index entry for a namespace.
+ * @param {Object} index The provides index.
+ * @param {string} moduleName The namespace.
+ * @return {Object|undefined} The entry, or undefined if the namespace is not in the index.
+ */
+const getProvide = (index, moduleName) => index && Object.prototype.hasOwnProperty.call(index.modules, moduleName) ?
+    index.modules[moduleName] : undefined;
+
+
+/**
+ * Get the relative path to use when importing one file from another.
+ * @param {string} fromFile The importing file.
+ * @param {string} toFile The imported file.
+ * @return {string} The relative import path, always starting with `./` or `../`.
+ */
+const getImportPath = (fromFile, toFile) => {
+  let importPath = path.relative(path.dirname(path.resolve(fromFile)), toFile).split(path.sep).join('/');
+  if (!importPath.startsWith('.')) {
+    importPath = `./${importPath}`;
+  }
+
+  return importPath;
+};
+
+
+/**
+ * Get the JSDoc comment on a node.
+ * @param {Node} node The node.
+ * @return {string} The comment, or an empty string if the node doesn't have one.
+ */
+const getDocComment = (node) => node && node.comments && node.comments.length ?
+    node.comments[node.comments.length - 1].value : '';
+
+
+/**
+ * Get the kind of module defined by a node and its value.
+ * @param {Node} node The statement defining the module.
+ * @param {Node} value The value assigned to the module.
+ * @return {ProvideKind} The kind.
+ */
+const getKind = (node, value) => {
+  const comment = getDocComment(node);
+  if (isInterface(node)) {
+    return ProvideKind.INTERFACE;
+  } else if (isDirective(node)) {
+    return ProvideKind.DIRECTIVE;
+  } else if (isClosureClass(node) || (value && value.type === 'ClassDeclaration')) {
+    return ProvideKind.CLASS;
+  } else if (ENUM_REGEXP.test(comment)) {
+    return ProvideKind.ENUM;
+  } else if (TYPEDEF_REGEXP.test(comment)) {
+    return ProvideKind.TYPEDEF;
+  }
+
+  return ProvideKind.VALUE;
+};
+
+
+/**
+ * Get the module entries for the `goog.provide` statements in a file.
+ * @param {Array<Node>} body The program body.
+ * @param {Array<string>} provides The provided namespaces.
+ * @return {!Object<string, {kind: string, exports: !Array<string>, superClass: (string|undefined)}>} The entries,
+ *     by namespace.
+ */
+const getLegacyProvides = (body, provides) => {
+  const entries = {};
+  provides.forEach(moduleName => {
+    const entry = {kind: ProvideKind.NAMESPACE, exports: []};
+
+    body.forEach(node => {
+      if (node.type !== 'ExpressionStatement') {
+        return;
+      }
+
+      const expr = node.expression;
+      if (isCall(expr, 'goog.inherits') && memberExpressionToString(expr.arguments[0]) === moduleName) {
+        // the namespace is a class extending another class
+        entry.superClass = memberExpressionToString(expr.arguments[1]);
+        return;
+      }
+
+      const target = expr.type === 'AssignmentExpression' ? expr.left : expr;
+      if (target.type !== 'MemberExpression' && !isGoogDefine(node)) {
+        return;
+      }
+
+      const name = isGoogDefine(node) ? expr.arguments[0].value : memberExpressionToString(target);
+      if (name === moduleName && expr.type === 'AssignmentExpression') {
+        // direct assignment to the namespace, ie a class or enum
+        entry.kind = getKind(node, expr.right);
+      } else if (name === moduleName && TYPEDEF_REGEXP.test(getDocComment(node))) {
+        // the namespace is declared as a typedef
+        entry.kind = ProvideKind.TYPEDEF;
+      } else if (name.startsWith(`${moduleName}.`)) {
+        // property on the namespace, exported unless private or provided separately
+        const propName = name.slice(moduleName.length + 1);
+        if (propName.indexOf('.') === -1 && provides.indexOf(name) === -1 && !isPrivate(node) &&
+            entry.exports.indexOf(propName) === -1) {
+          entry.exports.push(propName);
+        }
+      }
+    });
+
+    if (entry.kind !== ProvideKind.NAMESPACE) {
+      entry.exports = [];
+    }
+
+    if (entry.kind !== ProvideKind.CLASS) {
+      delete entry.superClass;
+    }
+
+    entries[moduleName] = entry;
+  });
+
+  return entries;
+};
+
+
+/**
+ * Get the namespace of a class extended in a `goog.module` file.
+ * @param {Array<Node>} body The program body.
+ * @param {Node} superClass The class extends expression.
+ * @return {?string} The namespace, or null if it could not be resolved.
+ */
+const getModuleSuperClass = (body, superClass) => {
+  if (superClass.type === 'MemberExpression') {
+    return memberExpressionToString(superClass);
+  }
+
+  // resolve the local name from the goog.require assigned to it
+  const required = body.find(node => isGoogModuleRequire(node) && node.declarations[0].id.type === 'Identifier' &&
+      node.declarations[0].id.name === superClass.name);
+
+  return required ? required.declarations[0].init.arguments[0].value : null;
+};
+
+
+/**
+ * If an `exports = ...` statement in a `goog.module` file exports a namespace, with a named export for each property.
+ * Object literals with identifier keys are namespaces unless annotated with `@enum`, and other values are the default
+ * export. The provides index and `es6/moduletoes6` both use this, so imports match the exports.
+ * @param {Node} node The `exports = ...` expression statement.
+ * @return {boolean}
+ */
+const isNamespaceExports = (node) => {
+  const value = node.expression.right;
+  return value.type === 'ObjectExpression' && !ENUM_REGEXP.test(getDocComment(node)) &&
+      value.properties.every(p => p.type === 'Property' && p.kind === 'init' && !p.computed &&
+          p.key.type === 'Identifier');
+};
+
+
+/**
+ * Get the module entry for a `goog.module` file.
+ * @param {Array<Node>} body The program body.
+ * @return {{kind: string, exports: !Array<string>, superClass: (string|undefined)}} The entry.
+ */
+const getModuleProvide = (body) => {
+  const entry = {kind: ProvideKind.NAMESPACE, exports: []};
+
+  body.forEach(node => {
+    if (node.type !== 'ExpressionStatement' || node.expression.type !== 'AssignmentExpression') {
+      return;
+    }
+
+    const left = node.expression.left;
+    const right = node.expression.right;
+    if (left.type === 'Identifier' && left.name === 'exports') {
+      if (isNamespaceExports(node)) {
+        // exports = {a, b}
+        entry.exports = entry.exports.concat(right.properties.map(p => p.key.name));
+      } else if (right.type === 'Identifier') {
+        // exports = MyClass, get the kind from the local declaration
+        const declaration = body.find(n => (n.type === 'ClassDeclaration' && n.id.name === right.name) ||
+            (n.type === 'VariableDeclaration' && n.declarations.some(d => d.id.name === right.name)));
+        entry.kind = getKind(declaration, declaration);
+
+        if (declaration && declaration.type === 'ClassDeclaration' && declaration.superClass) {
+          const superClass = getModuleSuperClass(body, declaration.superClass);
+          if (superClass) {
+            entry.superClass = superClass;
+          }
+        }
+      } else {
+        entry.kind = getKind(node, right);
+      }
+    } else if (left.type === 'MemberExpression' && left.object.type === 'Identifier' &&
+        left.object.name === 'exports') {
+      // exports.a = ...
+      entry.exports.push(left.property.name);
+    }
+  });
+
+  return entry;
+};
+
+
+/**
+ * Get the provides and requires for a file.
+ * @param {Collection} root The root collection for the file.
+ * @return {{provides: !Array<string>, requires: !Array<string>, requireTypes: !Array<string>, modules: !Object}}
+ */
+const getFileProvides = (root) => {
+  const body = root.find(jscs.Program).get().value.body;
+  const getNamespace = call => call.arguments[0].value;
+
+  const requires = [];
+  const requireTypes = [];
+  body.forEach(node => {
+    if (isGoogRequire(node)) {
+      requires.push(getNamespace(node.expression));
+    } else if (isGoogModuleRequire(node)) {
+      requires.push(getNamespace(node.declarations[0].init));
+    } else if (isGoogModuleRequireType(node)) {
+      requireTypes.push(getNamespace(node.declarations[0].init));
+    } else if (node.type === 'ExpressionStatement' && isCall(node.expression, 'goog.requireType')) {
+      requireTypes.push(getNamespace(node.expression));
+    }
+  });
+
+  let provides;
+  let modules;
+  const googModule = body.find(isGoogModule);
+  if (googModule) {
+    provides = [getNamespace(googModule.expression)];
+    modules = {[provides[0]]: getModuleProvide(body)};
+    modules[provides[0]].legacyNamespace = body.some(isGoogDeclareLegacyNamespace);
+  } else {
+    provides = body.filter(isGoogProvide).map(node => getNamespace(node.expression));
+    modules = getLegacyProvides(body, provides);
+  }
+
+  return {provides, requires, requireTypes, modules};
+};
+
+
+/**
+ * Match JSDoc type expressions.
+ * @type {RegExp}
+ */
+const JSDOC_TYPE_REGEXP = /{[^{}]+}/g;
+
+/**
+ * Match dot-delimited names.
+ * @type {RegExp}
+ */
+const QUALIFIED_NAME_REGEXP = /[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)+/g;
+
+
+/**
+ * Get the fully qualified name for a member expression.
+ * @param {Node} node The member expression.
+ * @return {?string} The name, or null if the expression isn't a chain of identifiers.
+ */
+const getQualifiedName = (node) => {
+  const parts = [];
+  while (node.type === 'MemberExpression' && !node.computed) {
+    parts.unshift(node.property.name);
+    node = node.object;
+  }
+
+  return node.type === 'Identifier' ? [node.name].concat(parts).join('.') : null;
+};
+
+
+/**
+ * Get the longest namespace in the index that contains a fully qualified name.
+ * @param {Object} index The provides index.
+ * @param {string} name The fully qualified name.
+ * @return {?string} The namespace, or null if none was found.
+ */
+const getProvideForName = (index, name) => {
+  const parts = name.split('.');
+  while (parts.length) {
+    const moduleName = parts.join('.');
+    if (getProvide(index, moduleName)) {
+      return moduleName;
+    }
+    parts.pop();
+  }
+
+  return null;
+};
+
+
+/**
+ * Add a name to a list if it isn't already there.
+ * @param {!Array<string>} names The names.
+ * @param {string|null|undefined} name The name to add.
+ */
+const addUniqueName = (names, name) => {
+  if (name && names.indexOf(name) === -1) {
+    names.push(name);
+  }
+};
+
+
+/**
+ * Get the fully qualified names referenced in a file's code, checking the outermost expression in each member chain.
+ * @param {Collection} root The root collection for the file.
+ * @return {!Array<string>} The referenced names.
+ */
+const getCodeReferencedNames = (root) => {
+  const names = [];
+  root.find(jscs.MemberExpression).forEach(path => {
+    if (path.parent.value.type !== 'MemberExpression' || path.parent.value.object !== path.value) {
+      addUniqueName(names, getQualifiedName(path.value));
+    }
+  });
+
+  return names;
+};
+
+
+/**
+ * Get the fully qualified names referenced in a file's JSDoc types.
+ * @param {Collection} root The root collection for the file.
+ * @return {!Array<string>} The referenced names.
+ */
+const getTypeReferencedNames = (root) => {
+  const names = [];
+  root.find(jscs.Comment).forEach(path => {
+    if (path.value.type === 'CommentBlock') {
+      (path.value.value.match(JSDOC_TYPE_REGEXP) || []).forEach(type => {
+        (type.match(QUALIFIED_NAME_REGEXP) || []).forEach(name => addUniqueName(names, name));
+      });
+    }
+  });
+
+  return names;
+};
+
+
+/**
+ * Get the fully qualified names referenced in a file's code and JSDoc types.
+ * @param {Collection} root The root collection for the file.
+ * @return {!Array<string>} The referenced names.
+ */
+const getReferencedNames = (root) => {
+  const names = getCodeReferencedNames(root);
+  getTypeReferencedNames(root).forEach(name => addUniqueName(names, name));
+
+  return names;
+};
+
+
+/**
+ * Get the indexed namespaces a file references as globals, through fully qualified names, JSDoc types or legacy
+ * `goog.require` statements. References to namespaces provided by the file are ignored.
+ * @param {Object} index The provides index.
+ * @param {{provides: !Array<string>, legacyRequires: !Array<string>, references: !Array<string>}} record The file
+ *     record, from the `index` NPM script.
+ * @return {!Array<string>} The referenced namespaces.
+ */
+const getLegacyReferences = (index, record) => {
+  const namespaces = [];
+  const required = record.legacyRequires.filter(moduleName => getProvide(index, moduleName));
+  required.concat(record.references.map(name => getProvideForName(index, name))).forEach(moduleName => {
+    if (moduleName && record.provides.indexOf(moduleName) === -1 && namespaces.indexOf(moduleName) === -1) {
+      namespaces.push(moduleName);
+    }
+  });
+
+  return namespaces.sort();
+};
+
+
+/**
+ * Get the class hierarchy for a file, mapping each class to the class it extends. Classes in the provides index are
+ * combined with the `goog.inherits` calls in the file.
+ * @param {Collection} root The root collection for the file.
+ * @param {Object} index The provides index. Optional.
+ * @return {!Object<string, string>} The parent class namespace, by class namespace.
+ */
+const getClassHierarchy = (root, index) => {
+  const hierarchy = {};
+  if (index) {
+    Object.keys(index.modules).forEach(moduleName => {
+      if (index.modules[moduleName].superClass) {
+        hierarchy[moduleName] = index.modules[moduleName].superClass;
+      }
+    });
+  }
+
+  root.find(jscs.CallExpression, node => isCall(node, 'goog.inherits') && node.arguments.length === 2).forEach(path => {
+    const child = memberExpressionToString(path.value.arguments[0]);
+    const parent = memberExpressionToString(path.value.arguments[1]);
+    if (child && parent) {
+      hierarchy[child] = parent;
+    }
+  });
+
+  return hierarchy;
+};
+
+
+/**
+ * Get the ancestors of a class, from its parent to the root of the hierarchy.
+ * @param {Object<string, string>} hierarchy The class hierarchy, from `getClassHierarchy`.
+ * @param {string} className The class namespace.
+ * @return {!Array<string>} The ancestor namespaces.
+ */
+const getAncestors = (hierarchy, className) => {
+  const ancestors = [];
+
+  let current = hierarchy[className];
+  while (current && current !== className && ancestors.indexOf(current) === -1) {
+    ancestors.push(current);
+    current = hierarchy[current];
+  }
+
+  return ancestors;
+};
+
+
+/**
+ * Add `goog.require` statements for indexed namespaces that are referenced in a file's code without being required, and
+ * `goog.requireType` statements for those only referenced in JSDoc types. Legacy code often relies on another file to
+ * load a namespace, or on a namespace provided in the same file as a required namespace.
+ * @param {Collection} root The root collection for the file.
+ * @param {Object} index The provides index.
+ * @param {Array<string>} modules The modules provided by the file.
+ * @return {!Array<string>} The added requires.
+ */
+const addMissingRequires = (root, index, modules) => {
+  const ignored = modules.slice();
+  root.find(jscs.CallExpression, node => isCall(node, 'goog.require') || isCall(node, 'goog.requireType'))
+      .forEach(path => ignored.push(path.value.arguments[0].value));
+
+  const getMissing = names => names.map(name => getProvideForName(index, name))
+      .filter(moduleName => moduleName && ignored.indexOf(moduleName) === -1);
+
+  const requires = [];
+  getMissing(getCodeReferencedNames(root)).forEach(moduleName => addUniqueName(requires, moduleName));
+
+  const requireTypes = [];
+  getMissing(getTypeReferencedNames(root)).filter(moduleName => requires.indexOf(moduleName) === -1)
+      .forEach(moduleName => addUniqueName(requireTypes, moduleName));
+
+  requires.sort().forEach(moduleName => addRequire(root, moduleName));
+  requireTypes.sort().forEach(moduleName => addRequireType(root, moduleName));
+
+  return requires.concat(requireTypes);
+};
+
+
+module.exports = {
+  ProvideKind,
+  addMissingRequires,
+  getAncestors,
+  getClassHierarchy,
+  getFileProvides,
+  getImportPath,
+  getIndexFromOptions,
+  getLegacyReferences,
+  getProvide,
+  getReferencedNames,
+  isNamespaceExports,
+  loadProvidesIndex
+};
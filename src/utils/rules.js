@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const jscs = require('jscodeshift');
+const yaml = require('js-yaml');
+
+const {createFindCallFn} = require('./ast');
+const {addRequire, isMissingFromIndex, removeUnusedRequire} = require('./goog');
+const {bindArgs, createCall} = require('./jscs');
+const {logger} = require('./logger');
+
+
+/**
+ * Keys supported in a replacement rule.
+ * @type {!Array<string>}
+ */
+const RULE_KEYS = ['replace', 'with', 'method', 'args', 'bindArgs', 'requiredArgs', 'googRequire', 'removeRequire',
+  'fixture'];
+
+
+/**
+ * Loaded rules, keyed by the resolved rules path.
+ * @type {!Object<string, !Array<Object>>}
+ */
+const loadedRules = {};
+
+
+/**
+ * Get a rule option that may be a string or array of strings as an array.
+ * @param {string|Array<string>|undefined} value The option value.
+ * @return {!Array<string>}
+ */
+const toArray = (value) => value == null ? [] : Array.isArray(value) ? value : [value];
+
+
+/**
+ * Get the problems with a replacement rule.
+ * @param {Object} rule The rule.
+ * @return {!Array<string>} The problems, or an empty array if the rule is valid.
+ */
+const getRuleErrors = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    return ['must be an object'];
+  }
+
+  const errors = Object.keys(rule).filter(key => RULE_KEYS.indexOf(key) === -1).map(key => `unknown key ${key}`);
+  if (typeof rule.replace !== 'string') {
+    errors.push('replace must be a function path');
+  }
+
+  if (!rule.with === !rule.method) {
+    errors.push('must have one of with or method');
+  }
+
+  if (rule.args && (!Array.isArray(rule.args) || !rule.args.every(arg => typeof arg === 'number' ||
+      !!arg && (typeof arg.arg === 'number' || arg.value != null)))) {
+    errors.push('args must be an array of argument indices, {arg, default} or {value} objects');
+  }
+
+  if (rule.bindArgs && (!Array.isArray(rule.bindArgs) || rule.bindArgs.length !== 2)) {
+    errors.push('bindArgs must be the callback and this argument indices');
+  }
+
+  return errors;
+};
+
+
+/**
+ * Load replacement rules from a JSON or YAML file. The file contains an array of rules:
+ *
+ * ```
+ * - replace: goog.array.some
+ *   method: some
+ *   removeRequire: goog.array
+ *   fixture: arraysome
+ * ```
+ *
+ * - replace: The function to replace.
+ * - with: The replacement function.
+ * - method: Call a method on the first argument instead, ie `arr.some(fn)`. May be a path, ie `classList.add`.
+ * - args: The replacement arguments, as original argument indices, `{arg, default}` to provide a default for a missing
+ *         argument, or `{value}` for a fixed argument. Defaults and values are JS expressions. Applied after the first
+ *         argument is removed for a method call, and before `bindArgs`.
+ * - bindArgs: The callback and `this` argument indices. The callback is bound to `this`, if it was provided.
+ * - requiredArgs: The minimum number of arguments in calls to replace.
+ * - googRequire: Namespace(s) required by the replacement.
+ * - removeRequire: Namespace(s) to remove the `goog.require` for if they are no longer referenced.
+ * - fixture: Name of the test fixture for the rule, in `src/transforms/goog/__testfixtures__/rules`.
+ *
+ * Invalid rules are reported and skipped.
+ *
+ * @param {string} rulesPath Path to the rules file.
+ * @return {Array<Object>|null} The rules, or null if the file could not be loaded.
+ */
+const loadRules = (rulesPath) => {
+  const resolvedPath = path.resolve(rulesPath);
+  if (!loadedRules[resolvedPath]) {
+    if (!fs.existsSync(resolvedPath)) {
+      logger.error(`Rules not found: ${resolvedPath}`);
+      return null;
+    }
+
+    let rules;
+    try {
+      const content = fs.readFileSync(resolvedPath, 'utf8');
+      rules = /\.ya?ml$/.test(resolvedPath) ? yaml.safeLoad(content) : JSON.parse(content);
+    } catch (e) {
+      logger.error(`Unable to parse rules ${resolvedPath}: ${e.message}`);
+      return null;
+    }
+
+    if (!Array.isArray(rules)) {
+      logger.error(`Rules ${resolvedPath} must be an array.`);
+      return null;
+    }
+
+    loadedRules[resolvedPath] = rules.filter((rule, idx) => {
+      const errors = getRuleErrors(rule);
+      if (errors.length) {
+        logger.warn(`Skipping rule ${idx} in ${resolvedPath}:\n    ${errors.join('\n    ')}`);
+      }
+      return !errors.length;
+    });
+  }
+
+  return loadedRules[resolvedPath];
+};
+
+
+/**
+ * Parse a JS expression from a rule.
+ * @param {*} value The expression source.
+ * @return {Node} The expression.
+ */
+const parseExpression = (value) => jscs(`(${value});`).find(jscs.ExpressionStatement).get().value.expression;
+
+
+/**
+ * Map call arguments with the rule `args`.
+ * @param {Array<Node>} args The original arguments.
+ * @param {Array<number|Object>} argRules The argument rules.
+ * @return {Array<Node>} The mapped arguments.
+ */
+const mapArgs = (args, argRules) => {
+  const mapped = argRules.map(argRule => {
+    if (typeof argRule === 'number') {
+      return args[argRule];
+    } else if (argRule.value != null) {
+      return parseExpression(argRule.value);
+    } else if (argRule.arg < args.length) {
+      return args[argRule.arg];
+    }
+
+    return argRule.default != null ? parseExpression(argRule.default) : undefined;
+  });
+
+  // drop missing trailing arguments, and pass undefined for others
+  while (mapped.length && !mapped[mapped.length - 1]) {
+    mapped.pop();
+  }
+
+  return mapped.map(arg => arg || jscs.identifier('undefined'));
+};
+
+
+/**
+ * Replace calls matching a rule.
+ * @param {Node} root The root node.
+ * @param {Object} rule The replacement rule.
+ * @param {Object=} index The provides index. If provided, calls will not be replaced if a required namespace is known
+ *                        to be missing from the index.
+ * @return {number} The number of calls replaced.
+ */
+const applyRule = (root, rule, index) => {
+  const googRequires = toArray(rule.googRequire);
+  const missing = googRequires.filter(ns => isMissingFromIndex(index, ns));
+  if (missing.length) {
+    logger.warn(`Skipping ${rule.replace} replacement, ${missing.join(', ')} is not in the provides index.`);
+    return 0;
+  }
+
+  let count = 0;
+  root.find(jscs.CallExpression, createFindCallFn(rule.replace)).forEach(path => {
+    let args = path.value.arguments.slice();
+    if (args.some(arg => arg.type === 'SpreadElement') || args.length < (rule.requiredArgs || 0) ||
+        rule.method && !args.length) {
+      return;
+    }
+
+    const target = rule.method ? args.shift() : null;
+    if (rule.args) {
+      args = mapArgs(args, rule.args);
+    }
+
+    if (rule.bindArgs && args.length > rule.bindArgs[1]) {
+      args = bindArgs(args, rule.bindArgs);
+    }
+
+    let call;
+    if (target) {
+      const callee = rule.method.split('.').reduce((expr, name) => jscs.memberExpression(expr, jscs.identifier(name)),
+          target);
+      call = jscs.callExpression(callee, args);
+    } else if (rule.with.indexOf('.') > -1) {
+      call = createCall(rule.with, args);
+    } else {
+      call = jscs.callExpression(jscs.identifier(rule.with), args);
+    }
+
+    jscs(path).replaceWith(call);
+    count++;
+  });
+
+  if (count) {
+    googRequires.forEach(ns => addRequire(root, ns));
+    toArray(rule.removeRequire).forEach(ns => removeUnusedRequire(root, ns));
+  }
+
+  return count;
+};
+
+
+module.exports = {
+  applyRule,
+  loadRules
+};
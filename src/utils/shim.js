@@ -1,10 +1,11 @@
 const fs = require('fs');
 const jscs = require('jscodeshift');
 
-const {createFindMemberExprObject} = require('./ast');
-const {createCall, createMemberExpression} = require('./jscs');
+const {createFindCallFn, createFindMemberExprObject, isInComment, isReferenced} = require('./ast');
+const {addRequire, isClosureClass, isControllerClass, isDirective, isGoogRequire, isInterface, sortRequires} = require('./goog');
+const {createCall, createMemberExpression, memberExpressionToString} = require('./jscs');
 const {getDefaultSourceOptions} = require('./options');
-const {logger} = require('./logger');
+const {logger, logWithNode} = require('./logger');
 
 
 /**
@@ -43,8 +44,10 @@ const getUniqueFileNameForModule = (moduleName, basePath) => {
  * @param {string} moduleName The module name.
  * @param {string} basePath The base path for the file.
  * @param {boolean} writeFile If the file should be written.
+ * @return {string|undefined} Path to the new file, if written.
  */
 const createAssignmentShim = (root, path, moduleName, basePath, writeFile) => {
+  let filePath;
   if (writeFile) {
     // create a new program with goog.module statements for the module
     const program = jscs.program([]);
@@ -59,7 +62,7 @@ const createAssignmentShim = (root, path, moduleName, basePath, writeFile) => {
 
     // generate a unique file name and write the file
     const fileName = getUniqueFileNameForModule(moduleName, basePath);
-    const filePath = `${basePath}/${fileName}`;
+    filePath = `${basePath}/${fileName}`;
     logger.info(`Creating new module: ${filePath}`);
 
     const fileSource = jscs(program).toSource(getDefaultSourceOptions());
@@ -76,6 +79,218 @@ const createAssignmentShim = (root, path, moduleName, basePath, writeFile) => {
 
   // remove the assignment from the original file
   jscs(path.parent).remove();
+
+  return filePath;
+};
+
+
+/**
+ * Get the top level statement assigning a module.
+ * @param {NodePath} root The root node path.
+ * @param {string} moduleName The module name.
+ * @return {Node|undefined} The statement, or undefined if not found.
+ */
+const getModuleStatement = (root, moduleName) => {
+  const statements = root.find(jscs.ExpressionStatement, {
+    expression: {
+      type: 'AssignmentExpression',
+      left: createFindMemberExprObject(moduleName)
+    }
+  }).filter(path => path.parent.value.type === 'Program');
+
+  return statements.length ? statements.get().value : undefined;
+};
+
+
+/**
+ * Get the module a node is rooted at, ie `os.ns.MyClass` for `os.ns.MyClass.prototype.fn`.
+ * @param {Node} node The node.
+ * @param {!Array<string>} modules The modules to check.
+ * @return {string|undefined} The longest matching module, or undefined if there is no match.
+ */
+const getRootModule = (node, modules) => {
+  if (node.type !== 'MemberExpression') {
+    return undefined;
+  }
+
+  const name = memberExpressionToString(node);
+  return modules
+      .filter(moduleName => name === moduleName || name.startsWith(`${moduleName}.`))
+      .sort((a, b) => b.length - a.length)[0];
+};
+
+
+/**
+ * Get the module that owns a top level statement.
+ *
+ * Assignments and declarations belong to the module they are rooted at. Calls like `goog.inherits`,
+ * `goog.addSingletonGetter` or directive registration belong to the first module passed as an argument.
+ *
+ * @param {Node} node The statement.
+ * @param {!Array<string>} modules The modules provided by the file.
+ * @return {string|undefined} The owning module, or undefined if the statement doesn't belong to a module.
+ */
+const getStatementOwner = (node, modules) => {
+  if (node.type !== 'ExpressionStatement') {
+    return undefined;
+  }
+
+  const expr = node.expression;
+  if (expr.type === 'AssignmentExpression') {
+    return getRootModule(expr.left, modules);
+  } else if (expr.type === 'MemberExpression') {
+    return getRootModule(expr, modules);
+  } else if (expr.type === 'CallExpression') {
+    for (let i = 0; i < expr.arguments.length; i++) {
+      const arg = expr.arguments[i];
+      const values = arg.type === 'ArrayExpression' ? arg.elements : [arg];
+      const owner = values.map(value => value && getRootModule(value, modules)).find(m => !!m);
+      if (owner) {
+        return owner;
+      }
+    }
+
+    return getRootModule(expr.callee, modules);
+  }
+
+  return undefined;
+};
+
+
+/**
+ * Get classes, interfaces and directives that should be split from a file providing multiple modules.
+ *
+ * A controller/directive pair is kept in the file, because they will be combined into a UI module. Otherwise the
+ * module matching the file name is kept, falling back to the first class and then the first interface or directive.
+ *
+ * @param {NodePath} root The root node path.
+ * @param {!Array<string>} modules The modules provided by the file.
+ * @param {string} filePath The file path.
+ * @return {!Array<string>} The modules to split into new files.
+ */
+const getModulesToSplit = (root, modules, filePath) => {
+  const classes = [];
+  const controllers = [];
+  const directives = [];
+  const candidates = modules.filter(moduleName => {
+    const node = getModuleStatement(root, moduleName);
+    if (isDirective(node)) {
+      directives.push(moduleName);
+    } else if (isControllerClass(node)) {
+      controllers.push(moduleName);
+    } else if (isClosureClass(node)) {
+      classes.push(moduleName);
+    } else if (!isInterface(node)) {
+      return false;
+    }
+
+    return true;
+  });
+
+  let keep;
+  if (controllers.length && directives.length) {
+    keep = [controllers[0], directives[0]];
+  } else {
+    const fileName = filePath.replace(/^.*\//, '').replace(/\.js$/, '').toLowerCase();
+    const primary = candidates.find(moduleName => moduleName.split('.').pop().toLowerCase() === fileName) ||
+        classes[0] || controllers[0] || candidates[0];
+    keep = [primary];
+  }
+
+  return candidates.filter(moduleName => keep.indexOf(moduleName) === -1);
+};
+
+
+/**
+ * If a namespace is referenced in code or comments.
+ * @param {NodePath} root The root node path.
+ * @param {string} namespace The namespace.
+ * @return {boolean}
+ */
+const isUsed = (root, namespace) => isReferenced(root, namespace) || isInComment(root, namespace);
+
+
+/**
+ * Move a class, interface or directive to its own file, along with its prototype, static and `goog.inherits`
+ * statements and the requires it needs.
+ *
+ * The new file declares the legacy namespace, so existing requires for the module continue to work. If the new
+ * module does not depend on the original file, a `goog.require` is left behind in the original file so code relying
+ * on the module being loaded with the file is not broken.
+ *
+ * @param {NodePath} root The root node path for the original file.
+ * @param {string} moduleName The module name.
+ * @param {!Array<string>} modules The modules provided by the original file.
+ * @param {string} basePath The base path for the file.
+ * @param {boolean} writeFile If the file should be written.
+ * @param {function(string, string):string} convert Function to convert the new `goog.provide` source to a
+ *                                                   `goog.module`, called with the source and file path.
+ * @return {string|undefined} Path to the new file, if written.
+ */
+const createModuleShim = (root, moduleName, modules, basePath, writeFile, convert) => {
+  // move statements owned by the module to a new program
+  const statements = root.find(jscs.Program).get().value.body.filter(node => {
+    return getStatementOwner(node, modules) === moduleName;
+  });
+
+  const program = jscs.program(statements);
+  const newRoot = jscs(program);
+
+  root.find(jscs.Statement, node => statements.indexOf(node) > -1).remove();
+
+  // require other modules from the original file, and legacy requires used by the moved statements
+  const otherModules = modules.filter(m => m !== moduleName && isUsed(newRoot, m));
+  const legacyRequires = root.find(jscs.ExpressionStatement, isGoogRequire).nodes()
+      .map(node => node.expression.arguments[0].value)
+      .filter(namespace => isUsed(newRoot, namespace));
+
+  otherModules.concat(legacyRequires).reverse().forEach(namespace => {
+    program.body.unshift(jscs.expressionStatement(createCall('goog.require', [jscs.literal(namespace)])));
+  });
+  program.body.unshift(jscs.expressionStatement(createCall('goog.provide', [jscs.literal(moduleName)])));
+  sortRequires(newRoot);
+
+  // warn about local variables and functions the moved statements can't access
+  root.find(jscs.Program).get().value.body.forEach(node => {
+    const names = node.type === 'VariableDeclaration' ? node.declarations.map(d => d.id.name) :
+        node.type === 'FunctionDeclaration' ? [node.id.name] : [];
+    names.filter(name => name && newRoot.find(jscs.Identifier, {name}).length).forEach(name => {
+      logWithNode('warn', `${moduleName} references local ${name}, which was not moved to the new module.`, node);
+    });
+  });
+
+  // remove the goog.provide statement and requires that are no longer used from the original file
+  root.find(jscs.CallExpression, createFindCallFn('goog.provide'))
+      .filter(path => path.value.arguments[0].value === moduleName)
+      .forEach(path => jscs(path.parent).remove());
+
+  legacyRequires.filter(namespace => !isUsed(root, namespace)).forEach(namespace => {
+    root.find(jscs.ExpressionStatement, isGoogRequire)
+        .filter(path => path.value.expression.arguments[0].value === namespace)
+        .remove();
+  });
+
+  // leave a require for the new module behind, unless it depends on a module still provided by the original file
+  const remainingModules = root.find(jscs.CallExpression, createFindCallFn('goog.provide')).nodes()
+      .map(node => node.arguments[0].value);
+  const hasCycle = otherModules.some(m => remainingModules.indexOf(m) > -1);
+  if (!hasCycle) {
+    addRequire(root, moduleName);
+  } else if (isUsed(root, moduleName)) {
+    logger.warn(`${moduleName} and the original file reference each other. Resolve the circular dependency manually.`);
+  }
+
+  let filePath;
+  if (writeFile) {
+    const fileName = getUniqueFileNameForModule(moduleName, basePath);
+    filePath = `${basePath}/${fileName}`;
+    logger.info(`Creating new module: ${filePath}`);
+
+    const fileSource = convert(`${newRoot.toSource(getDefaultSourceOptions())}\n`, filePath);
+    fs.writeFileSync(filePath, fileSource, 'utf8');
+  }
+
+  return filePath;
 };
 
 
@@ -124,5 +339,7 @@ const createUIShim = (uiPath, controllerName, directiveName) => {
 
 module.exports = {
   createAssignmentShim,
+  createModuleShim,
+  getModulesToSplit,
   createUIShim
 };
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const jscs = require('jscodeshift');
+
+const {logger} = require('./logger');
+
+
+/**
+ * The default controller alias used in Angular templates.
+ * @type {string}
+ */
+const DEFAULT_CONTROLLER_ALIAS = 'ctrl';
+
+
+/**
+ * Get the value of a property in the directive definition objects in a file.
+ * @param {Collection} root The root collection for the file.
+ * @param {string} key The property key.
+ * @return {!Array<Node>} The property values.
+ */
+const getDirectiveProperties = (root, key) => root.find(jscs.Property, {key: {name: key}}).nodes()
+    .map(node => node.value);
+
+
+/**
+ * Get the templates referenced by directives in a file with `templateUrl`, ie `os.ROOT + 'views/my.html'`. Templates
+ * are resolved relative to the template root, and must exist.
+ * @param {Collection} root The root collection for the file.
+ * @param {string} templateRoot The directory template URLs are relative to.
+ * @return {!Array<string>} The absolute template paths.
+ */
+const getTemplatePaths = (root, templateRoot) => {
+  const templates = [];
+  getDirectiveProperties(root, 'templateUrl').forEach(value => {
+    jscs(value).find(jscs.Literal).nodes().concat(value.type === 'Literal' ? [value] : [])
+        .filter(node => typeof node.value === 'string' && node.value.endsWith('.html'))
+        .forEach(node => {
+          const templatePath = path.resolve(templateRoot, node.value);
+          if (!fs.existsSync(templatePath)) {
+            logger.warn(`Template ${node.value} not found in ${templateRoot}.`);
+          } else if (templates.indexOf(templatePath) === -1) {
+            templates.push(templatePath);
+          }
+        });
+  });
+
+  return templates;
+};
+
+
+/**
+ * Get the alias templates use to reference the controller, from the directive `controllerAs` property.
+ * @param {Collection} root The root collection for the file.
+ * @return {string} The alias.
+ */
+const getControllerAlias = (root) => {
+  const alias = getDirectiveProperties(root, 'controllerAs').find(value => value.type === 'Literal');
+  return alias ? alias.value : DEFAULT_CONTROLLER_ALIAS;
+};
+
+
+/**
+ * Create a regular expression matching controller member references in a template, ie `ctrl.name`.
+ * @param {string} alias The controller alias.
+ * @param {string=} name The member name. Defaults to any name, captured in group 1.
+ * @return {RegExp}
+ */
+const createMemberRegExp = (alias, name) => new RegExp(`\\b${alias}\\.(${name || '[\\w$]+'})(?![\\w$])`, 'g');
+
+
+/**
+ * Get the controller members referenced in a template.
+ * @param {string} templatePath The template path.
+ * @param {string} alias The controller alias.
+ * @return {!Array<string>} The member names.
+ */
+const getTemplateMembers = (templatePath, alias) => {
+  const members = [];
+  const content = fs.readFileSync(templatePath, 'utf8');
+  const pattern = createMemberRegExp(alias);
+
+  let match;
+  while ((match = pattern.exec(content))) {
+    if (members.indexOf(match[1]) === -1) {
+      members.push(match[1]);
+    }
+  }
+
+  return members;
+};
+
+
+/**
+ * Rename a controller member referenced in a template.
+ * @param {string} templatePath The template path.
+ * @param {string} alias The controller alias.
+ * @param {string} from The old member name.
+ * @param {string} to The new member name.
+ * @param {boolean} writeFile If the template should be written.
+ * @return {number} The number of references replaced.
+ */
+const renameTemplateMember = (templatePath, alias, from, to, writeFile) => {
+  let count = 0;
+  const content = fs.readFileSync(templatePath, 'utf8');
+  const updated = content.replace(createMemberRegExp(alias, from.replace(/\$/g, '\\$')), () => {
+    count++;
+    return `${alias}.${to}`;
+  });
+
+  if (count && writeFile) {
+    fs.writeFileSync(templatePath, updated, 'utf8');
+  }
+
+  return count;
+};
+
+
+module.exports = {
+  getControllerAlias,
+  getTemplateMembers,
+  getTemplatePaths,
+  renameTemplateMember
+};
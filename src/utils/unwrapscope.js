@@ -0,0 +1,259 @@
+const jscs = require('jscodeshift');
+const {createNamespaceRegExp, isCall, replaceInComments} = require('./ast');
+const {createMemberExpression, memberExpressionToString} = require('./jscs');
+const {logWithNode} = require('./logger');
+
+/**
+ * If a node is a function that can be unwrapped: no parameters, and a block body.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const isWrapperFunction = (node) => {
+  return (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') &&
+      !node.params.length && node.body.type === 'BlockStatement';
+};
+
+/**
+ * Get the function wrapping the body of a file from a top level statement. Supports `goog.scope(function() {...})`,
+ * `(function() {...})()` and `(function() {...}).call(this)`.
+ * @param {NodePath} path The expression statement path.
+ * @return {NodePath|undefined} The function path, or undefined if the statement is not a wrapper.
+ */
+const getWrapperFunction = (path) => {
+  const expr = path.value.expression;
+  if (expr.type !== 'CallExpression') {
+    return undefined;
+  }
+
+  if (isCall(expr, 'goog.scope')) {
+    return expr.arguments.length === 1 && isWrapperFunction(expr.arguments[0]) ?
+        path.get('expression', 'arguments', 0) : undefined;
+  }
+
+  if (isWrapperFunction(expr.callee) && !expr.arguments.length) {
+    return path.get('expression', 'callee');
+  }
+
+  const callee = expr.callee;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'call' &&
+      isWrapperFunction(callee.object) && expr.arguments.length <= 1 &&
+      expr.arguments.every(arg => arg.type === 'ThisExpression')) {
+    return path.get('expression', 'callee', 'object');
+  }
+
+  return undefined;
+};
+
+/**
+ * Get the fully qualified name aliased by a variable declarator, ie `os.ns.Foo` for `var Foo = os.ns.Foo;`.
+ * @param {Node} declarator The variable declarator.
+ * @param {NodePath} fnPath The wrapper function path.
+ * @return {string|undefined} The aliased name, or undefined if the declarator isn't an alias.
+ */
+const getAliasedName = (declarator, fnPath) => {
+  let node = declarator.init;
+  if (declarator.id.type !== 'Identifier' || !node || node.type !== 'MemberExpression') {
+    return undefined;
+  }
+
+  while (node.type === 'MemberExpression' && !node.computed) {
+    node = node.object;
+  }
+
+  // aliases must point to a global name, and can't be reassigned
+  const name = declarator.id.name;
+  if (node.type !== 'Identifier' || fnPath.scope.declares(node.name) ||
+      jscs(fnPath).find(jscs.AssignmentExpression, {left: {type: 'Identifier', name}}).length) {
+    return undefined;
+  }
+
+  return memberExpressionToString(declarator.init);
+};
+
+/**
+ * Replace references to an alias with the fully qualified name, in code and JSDoc types.
+ * @param {NodePath} fnPath The wrapper function path.
+ * @param {string} alias The alias.
+ * @param {string} name The fully qualified name.
+ */
+const inlineAlias = (fnPath, alias, name) => {
+  jscs(fnPath.get('body')).find(jscs.Identifier, {name: alias}).forEach(path => {
+    const parent = path.parent.value;
+    if ((parent.type === 'MemberExpression' && parent.property === path.value && !parent.computed) ||
+        (parent.type === 'VariableDeclarator' && parent.id === path.value) ||
+        (parent.type === 'Property' && parent.key === path.value && !parent.shorthand) ||
+        (parent.type === 'MethodDefinition' && parent.key === path.value) ||
+        path.scope.lookup(alias) !== fnPath.scope) {
+      // not a reference to the alias
+      return;
+    }
+
+    if (parent.type === 'Property' && parent.shorthand) {
+      parent.shorthand = false;
+      parent.value = createMemberExpression(name);
+    } else {
+      jscs(path).replaceWith(createMemberExpression(name));
+    }
+  });
+
+  // replace the alias in JSDoc type expressions, within braces
+  replaceInComments(jscs(fnPath), createNamespaceRegExp(alias), (match, prefix, offset, comment) => {
+    const inType = comment.lastIndexOf('{', offset) > comment.lastIndexOf('}', offset);
+    return inType ? `${prefix}${name}` : match;
+  });
+};
+
+/**
+ * If a node is a `'use strict'` directive.
+ * @param {Node} node The node.
+ * @return {boolean}
+ */
+const isUseStrict = (node) => node.type === 'ExpressionStatement' && node.expression.type === 'Literal' &&
+    node.expression.value === 'use strict';
+
+/**
+ * Remove indentation from block comments on a statement moved out of a function.
+ *
+ * Comments are printed with their original indentation when replaced, so remove it before they are modified.
+ * https://github.com/benjamn/recast/issues/297
+ *
+ * @param {Node} node The statement.
+ */
+const outdentComments = (node) => {
+  if (node.comments) {
+    node.comments = node.comments.map(comment => {
+      if (comment.type === 'CommentBlock' && comment.loc && comment.loc.indent > 0) {
+        const pattern = new RegExp(`\n[\t ]{${comment.loc.indent}}`, 'g');
+        return jscs.commentBlock(comment.value.replace(pattern, '\n'), comment.leading, comment.trailing);
+      }
+      return comment;
+    });
+  }
+};
+
+/**
+ * Closure calls that may be at the root of a file with its body wrapped in a function.
+ * @type {!Array<string>}
+ */
+const FILE_DIRECTIVES = ['goog.module', 'goog.module.declareLegacyNamespace', 'goog.provide', 'goog.require',
+  'goog.requireType'];
+
+/**
+ * If a root statement is a Closure file directive, ie `goog.provide('os.ns.Foo');`.
+ * @param {Node} node The statement.
+ * @return {boolean}
+ */
+const isFileDirective = (node) => isUseStrict(node) || node.type === 'ExpressionStatement' &&
+    FILE_DIRECTIVES.some(fn => isCall(node.expression, fn));
+
+/**
+ * Get the names declared by a statement in the scope containing it.
+ * @param {Node} node The statement.
+ * @return {!Array<string>} The names.
+ */
+const getDeclaredNames = (node) => {
+  if (node.type === 'VariableDeclaration') {
+    return node.declarations.filter(declarator => declarator.id.type === 'Identifier')
+        .map(declarator => declarator.id.name);
+  } else if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+    return [node.id.name];
+  }
+
+  return [];
+};
+
+/**
+ * Get the `var` declarations in nested blocks of a wrapper function, ie `for (var key in obj)`. These are hoisted to
+ * the module scope when the function is unwrapped.
+ * @param {NodePath} fnPath The wrapper function path.
+ * @return {!Array<string>} The declared names.
+ */
+const getNestedVars = (fnPath) => {
+  const body = fnPath.value.body.body;
+  return jscs(fnPath.get('body')).find(jscs.VariableDeclaration, {kind: 'var'})
+      .filter(path => body.indexOf(path.value) === -1 && path.scope === fnPath.scope)
+      .nodes()
+      .reduce((names, node) => names.concat(getDeclaredNames(node)), []);
+};
+
+/**
+ * Unwrap files with a body wrapped in `goog.scope` or an IIFE, so their statements can be converted at the root level
+ * of the file. Aliases to fully qualified names (`var Foo = os.ns.Foo;`) are inlined.
+ *
+ * A function that is not the only statement in the file besides Closure directives is only unwrapped if it doesn't
+ * change the scope of its variables: it must not declare a name already in the module scope, or `var` in a nested
+ * block. Functions that can't be unwrapped are reported and left in place.
+ *
+ * @param {NodePath} root The root node path.
+ * @return {number} The number of unwrapped functions.
+ */
+const unwrapScope = (root) => {
+  let count = 0;
+
+  const rootStatements = root.find(jscs.Program).get().value.body;
+  const wrappers = root.find(jscs.ExpressionStatement).filter(path => path.parent.value.type === 'Program' &&
+      !!getWrapperFunction(path));
+  const isFileWrapper = wrappers.length === 1 &&
+      rootStatements.every(node => node === wrappers.get().value || isFileDirective(node));
+
+  const scopeNames = rootStatements.reduce((names, node) => names.concat(getDeclaredNames(node)), []);
+
+  wrappers.forEach(path => {
+    const fnPath = getWrapperFunction(path);
+    const body = fnPath.value.body.body;
+    if (body.some(node => node.type === 'ReturnStatement')) {
+      logWithNode('warn', 'Unable to unwrap a function that returns a value.', path.value);
+      return;
+    }
+
+    // names the function adds to the module scope, not including aliases that will be inlined
+    const names = body.reduce((names, node) => names.concat(node.type === 'VariableDeclaration' ?
+      node.declarations.filter(declarator => !getAliasedName(declarator, fnPath)).map(declarator => declarator.id)
+          .filter(id => id.type === 'Identifier').map(id => id.name) :
+      getDeclaredNames(node)), []);
+    const nestedVars = getNestedVars(fnPath);
+
+    const clashes = names.concat(nestedVars).filter(name => scopeNames.indexOf(name) > -1);
+    if (clashes.length) {
+      logWithNode('warn', `Unable to unwrap a function declaring names already in the module scope: ` +
+          `${clashes.join(', ')}.`, path.value);
+      return;
+    }
+
+    if (!isFileWrapper && nestedVars.length) {
+      logWithNode('warn', `Unable to unwrap a function that scopes variables declared in nested blocks: ` +
+          `${nestedVars.join(', ')}.`, path.value);
+      return;
+    }
+
+    // inline aliases and remove their declarations
+    body.filter(node => node.type === 'VariableDeclaration').forEach(node => {
+      node.declarations = node.declarations.filter(declarator => {
+        const name = getAliasedName(declarator, fnPath);
+        if (name) {
+          inlineAlias(fnPath, declarator.id.name, name);
+        }
+        return !name;
+      });
+    });
+
+    // drop 'use strict' directives and emptied alias declarations
+    const statements = body.filter(node => !isUseStrict(node) &&
+        (node.type !== 'VariableDeclaration' || node.declarations.length));
+    statements.forEach(outdentComments);
+
+    // keep leading comments on the wrapper, but drop trailing comments like "// goog.scope"
+    const leadingComments = (path.value.comments || []).filter(comment => comment.leading);
+    if (statements.length && leadingComments.length) {
+      statements[0].comments = leadingComments.concat(statements[0].comments || []);
+    }
+
+    path.replace(...statements);
+    scopeNames.push(...names, ...nestedVars);
+    count++;
+  });
+
+  return count;
+};
+
+module.exports = {unwrapScope};